@@ -1,3 +1,24 @@
+const path = require('path');
+
+// Engines Playwright can launch
+const BROWSER_ENGINES = ['chromium', 'firefox', 'webkit'];
+
+/**
+ * Parse the comma-separated BROWSER_ENGINES list, failing at startup on names Playwright cannot launch
+ */
+function parseEngines(value) {
+  const engines = [...new Set((value || 'chromium').split(',').map(engine => engine.trim()).filter(Boolean))];
+  const unknown = engines.filter(engine => !BROWSER_ENGINES.includes(engine));
+
+  if (unknown.length > 0 || engines.length === 0) {
+    throw new Error(
+      `Invalid BROWSER_ENGINES "${value}": expected a comma-separated list of ${BROWSER_ENGINES.join(', ')}`
+    );
+  }
+
+  return engines;
+}
+
 module.exports = {
   // Server Configuration
   server: {
@@ -28,8 +49,25 @@ module.exports = {
     maxFileSize: '10mb'
   },
 
+  // PDF Configuration
+  pdf: {
+    pageSize: process.env.PDF_PAGE_SIZE || 'A4'
+  },
+
+  // Fonts Configuration
+  fonts: {
+    dir: process.env.FONTS_DIR || './fonts',
+    googleFontsEnabled: process.env.FONTS_GOOGLE_ENABLED !== 'false' // Disable where there is no network
+  },
+
   // Browser Configuration
   browser: {
+    // Engines that may be launched (chromium, firefox, webkit); the first one is the default
+    supportedEngines: BROWSER_ENGINES,
+    engines: parseEngines(process.env.BROWSER_ENGINES),
+    get defaultEngine() {
+      return this.engines[0];
+    },
     timeout: parseInt(process.env.BROWSER_TIMEOUT) || 45000,
     headless: process.env.BROWSER_HEADLESS !== 'false',
     viewport: {
@@ -37,10 +75,60 @@ module.exports = {
       height: parseInt(process.env.BROWSER_VIEWPORT_HEIGHT) || 1080
     },
     userAgent: process.env.BROWSER_USER_AGENT || 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+    scriptTimeout: parseInt(process.env.BROWSER_SCRIPT_TIMEOUT) || 5000, // Limit for inject_js/init_script
+    restart: {
+      maxAttempts: parseInt(process.env.BROWSER_RESTART_MAX_ATTEMPTS) || 5, // Relaunch attempts after a crash
+      backoffMs: parseInt(process.env.BROWSER_RESTART_BACKOFF_MS) || 1000, // Doubled after every failed attempt
+      maxBackoffMs: parseInt(process.env.BROWSER_RESTART_MAX_BACKOFF_MS) || 30000
+    },
     waitForAnimations: process.env.BROWSER_WAIT_ANIMATIONS !== 'false',
     defaultQuality: parseInt(process.env.BROWSER_DEFAULT_QUALITY) || 90
   },
 
+  // Render Pool Configuration
+  pool: {
+    maxPages: parseInt(process.env.RENDER_MAX_PAGES) || 4, // Concurrent browser contexts
+    maxQueue: parseInt(process.env.RENDER_MAX_QUEUE) || 20, // Requests waiting for a free page
+    queueTimeout: parseInt(process.env.RENDER_QUEUE_TIMEOUT_MS) || 30000,
+    retryAfter: parseInt(process.env.RENDER_RETRY_AFTER_SECONDS) || 5 // Retry-After header on 503
+  },
+
+  // Render Cache Configuration
+  cache: {
+    enabled: process.env.RENDER_CACHE_ENABLED === 'true', // Default for the per-request cache flag
+    ttlSeconds: parseInt(process.env.RENDER_CACHE_TTL_SECONDS) || 3600,
+    dir: process.env.RENDER_CACHE_DIR || './cache'
+  },
+
+  // Batch Render Configuration
+  batch: {
+    maxItems: parseInt(process.env.BATCH_MAX_ITEMS) || 100, // Render specs per POST /v1/image/batch
+    concurrency: parseInt(process.env.BATCH_CONCURRENCY) || 4, // Items rendered at once, per batch
+    timeout: parseInt(process.env.BATCH_TIMEOUT_MS) || 10 * 60 * 1000 // Replaces the per-request timeout
+  },
+
+  // Template Configuration
+  templates: {
+    // Stored next to the image temp dir by default
+    dir: process.env.TEMPLATES_DIR || path.join(path.dirname(process.env.IMAGE_TEMP_DIR || './temp'), 'templates'),
+    maxVersions: parseInt(process.env.TEMPLATES_MAX_VERSIONS) || 50 // Older versions are removed on update
+  },
+
+  // Async Render Configuration
+  renders: {
+    dir: process.env.RENDERS_DIR || './renders' // Render records, removed by the cleanup job
+  },
+
+  // Webhook Configuration
+  webhooks: {
+    secret: process.env.WEBHOOK_SECRET, // HMAC signing key; webhook_url is rejected while unset
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+    backoffMs: parseInt(process.env.WEBHOOK_BACKOFF_MS) || 1000, // Doubled after every failed attempt
+    maxBackoffMs: parseInt(process.env.WEBHOOK_MAX_BACKOFF_MS) || 60000,
+    timeout: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+    historySize: parseInt(process.env.WEBHOOK_HISTORY_SIZE) || 500 // Deliveries kept for GET /v1/webhooks/deliveries
+  },
+
   // Security
   security: {
     corsOrigin: process.env.CORS_ORIGIN || '*',
@@ -2,7 +2,7 @@ const express = require('express');
 const path = require('path');
 const fs = require('fs').promises;
 const logger = require('../utils/logger');
-const { getImageInfo } = require('../utils/fileManager');
+const { getImageInfo, isValidImageFilename, getContentType } = require('../utils/fileManager');
 const config = require('../config');
 
 /**
@@ -18,7 +18,7 @@ function createStaticMiddleware() {
     
     try {
       // Validate filename format
-      if (!filename.match(/^[a-zA-Z0-9\-_]+\.png$/)) {
+      if (!isValidImageFilename(filename)) {
         return res.status(400).json({
           status: 'error',
           message: 'Invalid filename format',
@@ -46,7 +46,7 @@ function createStaticMiddleware() {
       
       // Set appropriate headers
       res.set({
-        'Content-Type': 'image/png',
+        'Content-Type': getContentType(filename),
         'Content-Length': imageInfo.size,
         'Cache-Control': 'public, max-age=86400', // 24 hours
         'Last-Modified': imageInfo.created.toUTCString(),
@@ -92,7 +92,7 @@ function createStaticMiddleware() {
     
     try {
       // Validate filename format
-      if (!filename.match(/^[a-zA-Z0-9\-_]+\.png$/)) {
+      if (!isValidImageFilename(filename)) {
         return res.status(400).json({
           status: 'error',
           message: 'Invalid filename format',
@@ -166,10 +166,10 @@ function createStaticMiddleware() {
       }
       
       const files = await fs.readdir(imagesDir);
-      const pngFiles = files.filter(file => file.endsWith('.png'));
+      const imageFiles = files.filter(file => isValidImageFilename(file));
       
       const images = await Promise.all(
-        pngFiles.map(async (filename) => {
+        imageFiles.map(async (filename) => {
           const info = await getImageInfo(filename);
           return {
             filename: info.filename,
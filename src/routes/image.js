@@ -1,71 +1,71 @@
 const express = require('express');
 const router = express.Router();
 const logger = require('../utils/logger');
+const config = require('../config');
 const screenshotService = require('../services/screenshot');
-const { saveImage, generateImageUrl, generateFilename } = require('../utils/fileManager');
-const { validateImageParams, createValidator } = require('../utils/validation');
+const { ServiceUnavailableError, describeRenderError } = require('../utils/errors');
+const { renderImage, renderBatch } = require('../services/imageRenderer');
+const { renderStore } = require('../services/renderStore');
+const { webhookDispatcher, buildRenderPayload } = require('../services/webhooks');
+const {
+  saveImage,
+  generateImageUrl,
+  generateFilename,
+  getImageDimensions
+} = require('../utils/fileManager');
+const { listDevices } = require('../utils/devices');
+const { redactError, redactText, collectSecrets } = require('../utils/redact');
+const {
+  validateImageParams,
+  validateBreakpointParams,
+  validateBatchParams,
+  validateFullPageParams,
+  validatePageParams,
+  createValidator
+} = require('../utils/validation');
 
 // Validation middleware for image conversion
 const validateImageRequest = createValidator(validateImageParams);
+const validateBreakpointRequest = createValidator(validateBreakpointParams);
+const validateBatchRequest = createValidator(validateBatchParams);
+const validateFullPageRequest = createValidator(validateFullPageParams);
+const validatePageRequest = createValidator(validatePageParams);
 
 // Main image conversion endpoint
 router.post('/', validateImageRequest, async (req, res) => {
   const requestId = req.requestId || 'unknown';
   const startTime = Date.now();
-  
+  const user = req.user?.id || 'anonymous';
+  const baseUrl = req.get('host') ? `${req.protocol}://${req.get('host')}` : undefined;
+
+  if (req.validatedData.async) {
+    return queueRender(req, res, { requestId, user, baseUrl });
+  }
+
   try {
-    const { url, selector } = req.validatedData;
-    const user = req.user?.id || 'anonymous';
-    
-    logger.info('Starting image conversion', {
+    const { status, body, cache } = await renderImage(req.validatedData, {
       requestId,
       user,
-      url,
-      selector,
-      ip: req.ip
+      ip: req.ip,
+      baseUrl,
+      startTime
     });
 
-    // Capture screenshot directly - error handling is done within the service
-    logger.debug('Capturing screenshot', { requestId, url, selector });
-    const imageBuffer = await screenshotService.captureElement(url, selector, {
-      waitForAnimations: true
-    });
-
-    // Step 3: Generate filename and save image
-    const filename = generateFilename(url, selector);
-    logger.debug('Saving image', { requestId, filename, size: imageBuffer.length });
-    
-    const savedImage = await saveImage(imageBuffer, filename);
-    
-    // Step 4: Generate public URL
-    const imageUrl = generateImageUrl(filename, req.get('host') 
-      ? `${req.protocol}://${req.get('host')}` 
-      : undefined
-    );
+    if (cache) {
+      res.set('X-Renderize-Cache', cache);
+    }
 
-    const duration = Date.now() - startTime;
-    
-    logger.info('Image conversion completed successfully', {
+    const webhookDeliveryId = notifyWebhook(req.validatedData.webhookUrl, {
+      renderId: null,
       requestId,
-      user,
-      url,
-      selector,
-      filename,
-      fileSize: savedImage.size,
-      duration: `${duration}ms`
+      body,
+      error: status !== 200 && { status, message: body.message }
     });
 
-    // Return success response
-    res.json({
-      url: imageUrl,
-      filename,
-      size: savedImage.size,
-      created: savedImage.created,
-      requestId,
-      duration: `${duration}ms`
-    });
+    res.status(status).json({ ...body, ...(webhookDeliveryId && { webhookDeliveryId }) });
 
   } catch (error) {
+    redactError(error, req.validatedData?.options);
     const duration = Date.now() - startTime;
     
     logger.error('Image conversion failed', {
@@ -78,27 +78,24 @@ router.post('/', validateImageRequest, async (req, res) => {
       stack: error.stack
     });
 
-    // Determine appropriate status code and message
-    let status = 500;
-    let message = 'Internal server error';
-    
-    if (error.message.includes('timeout')) {
-      status = 408;
-      message = 'Request timeout - page took too long to load';
-    } else if (error.message.includes('not found') || error.message.includes('CSS selector')) {
-      status = 400;
-      message = 'CSS selector not found on page';
-    } else if (error.message.includes('Failed to load')) {
-      status = 400;
-      message = 'Failed to load the specified URL';
-    } else if (error.message.includes('Invalid')) {
-      status = 400;
-      message = error.message;
+    const { status, message, code, script, retryAfter } = describeRenderError(error);
+    const webhookDeliveryId = notifyWebhook(req.validatedData.webhookUrl, {
+      renderId: null,
+      requestId,
+      error: { status, message, code },
+      duration: `${duration}ms`
+    });
+
+    if (retryAfter !== undefined) {
+      res.set('Retry-After', String(retryAfter));
     }
 
     res.status(status).json({
       status: 'error',
       message,
+      ...(code && { code }),
+      ...(script && { script }),
+      ...(webhookDeliveryId && { webhookDeliveryId }),
       requestId,
       duration: `${duration}ms`,
       ...(process.env.NODE_ENV !== 'production' && { 
@@ -109,28 +106,217 @@ router.post('/', validateImageRequest, async (req, res) => {
   }
 });
 
+/**
+ * Send the webhook callback for a finished render, if one was requested
+ * Returns the delivery id, or null without a webhook_url.
+ */
+function notifyWebhook(webhookUrl, outcome) {
+  if (!webhookUrl) {
+    return null;
+  }
+
+  return webhookDispatcher.dispatch(webhookUrl, buildRenderPayload(outcome)).id;
+}
+
+/**
+ * Store a queued render record, answer 202 with its id and run the render in the background
+ */
+async function queueRender(req, res, { requestId, user, baseUrl }) {
+  const { url, html, selector, selectors, options } = req.validatedData;
+  let record;
+
+  try {
+    record = await renderStore.create({
+      requestId,
+      user,
+      request: {
+        source: html ? 'html' : 'url',
+        url: url || null,
+        selector,
+        selectors,
+        format: options.format,
+        engine: options.engine
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to queue render', { requestId, user, error: error.message });
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to queue render',
+      requestId
+    });
+  }
+
+  const statusUrl = `${baseUrl || config.api.baseUrl}/v1/renders/${record.id}`;
+
+  logger.info('Render queued', { requestId, user, renderId: record.id });
+
+  res.status(202).location(statusUrl).json({
+    id: record.id,
+    status: record.status,
+    statusUrl,
+    requestId,
+    createdAt: record.createdAt
+  });
+
+  runRender(record.id, req.validatedData, { requestId, user, ip: req.ip, baseUrl });
+}
+
+/**
+ * Run a queued render and record its outcome; failures are stored, never thrown
+ * The webhook is sent once the outcome is known, so a failing record update never triggers a second callback.
+ */
+async function runRender(id, validatedData, context) {
+  const startTime = Date.now();
+  const { requestId } = context;
+  let outcome;
+  let started = null;
+
+  // The record stays queued until the render pool grants a page slot; async renders never time out waiting
+  const slot = {
+    background: true,
+    onAcquire: () => {
+      started = started || renderStore.update(id, { status: 'running', startedAt: new Date().toISOString() })
+        .catch(error => {
+          logger.warn('Failed to mark render as running', { renderId: id, error: error.message });
+        });
+    }
+  };
+
+  try {
+    const { status, body, cache } = await renderImage(validatedData, { ...context, startTime, slot });
+    const error = status !== 200 ? { status, message: body.message } : null;
+
+    outcome = {
+      body,
+      error,
+      record: { status: error ? 'failed' : 'succeeded', result: body, error, cache }
+    };
+
+  } catch (error) {
+    redactError(error, validatedData.options);
+
+    logger.error('Async render failed', {
+      requestId,
+      renderId: id,
+      error: error.message,
+      duration: `${Date.now() - startTime}ms`
+    });
+
+    const { status, message, code, script } = describeRenderError(error);
+
+    outcome = {
+      error: { status, message, code },
+      duration: `${Date.now() - startTime}ms`,
+      record: { status: 'failed', error: { status, message, ...(code && { code }), ...(script && { script }) } }
+    };
+  }
+
+  // Never let the running update land after the outcome
+  await started;
+
+  const webhookDeliveryId = notifyWebhook(validatedData.webhookUrl, {
+    renderId: id,
+    requestId,
+    body: outcome.body,
+    error: outcome.error,
+    duration: outcome.duration
+  });
+
+  await renderStore.update(id, {
+    ...outcome.record,
+    webhookDeliveryId,
+    completedAt: new Date().toISOString()
+  }).catch(updateError => {
+    logger.error('Failed to record render outcome', { renderId: id, error: updateError.message });
+  });
+}
+
 // Get image conversion endpoint info
 router.get('/info', (req, res) => {
   res.json({
     endpoint: '/v1/image',
     method: 'POST',
-    description: 'Convert HTML elements to PNG images',
+    description: 'Convert HTML elements to PNG, JPEG or WebP images',
     parameters: {
-      url: 'string (required) - URL of the HTML page',
-      selector: 'string (required) - CSS selector for the element to capture'
+      url: 'string (required unless html is given) - URL of the HTML page',
+      selector: 'string (required with url, optional with html) - CSS selector for the element to capture',
+      selectors: 'array (optional) - Up to 20 CSS selectors captured from one page load, instead of selector',
+      all: 'boolean (optional) - Capture every element matching the selector(s), not just the first (default: false)',
+      padding: 'number|object (optional) - Space around the element in CSS pixels, uniform or { top, right, bottom, left }, 0-500',
+      clip: 'object (optional) - Page-coordinate crop { x, y, width, height } instead of a selector',
+      html: 'string (optional) - Raw HTML to render instead of loading a URL',
+      css: 'string (optional) - CSS injected into the rendered HTML',
+      format: 'string (optional) - Output format: png, jpeg or webp (default: png)',
+      engine: 'string (optional) - Rendering engine: chromium, firefox or webkit, if enabled (webp requires chromium)',
+      quality: 'number (optional) - Quality 1-100 for jpeg and webp',
+      omit_background: 'boolean (optional) - Transparent background instead of white, png and webp only (alias: transparent)',
+      device: 'string (optional) - Device preset, e.g. "iPhone 13" or "Pixel 7" (see GET /v1/image/devices)',
+      device_scale: 'number (optional) - Device scale factor 1-4 for high-DPI captures (default: 1, or the device preset)',
+      viewport_width: 'number (optional) - Viewport width in CSS pixels, 200-7680 (default: 1920)',
+      viewport_height: 'number (optional) - Viewport height in CSS pixels, 200-7680 (default: 1080)',
+      headers: 'object (optional) - Extra HTTP headers sent to the url\'s origin only, e.g. { "X-Preview": "1" }',
+      cookies: 'array (optional) - Cookies [{ name, value, domain, path, url, expires, http_only, secure, same_site }], scoped to url by default',
+      http_credentials: 'object (optional) - HTTP basic auth { username, password } for the url\'s origin only',
+      locale: 'string (optional) - Browser locale, e.g. "de-DE" (affects Intl formatting and Accept-Language)',
+      timezone_id: 'string (optional) - IANA time zone, e.g. "Europe/Berlin"',
+      geolocation: 'object (optional) - { latitude, longitude, accuracy } with geolocation permission granted',
+      color_scheme: 'string (optional) - Emulated prefers-color-scheme: light, dark or no-preference',
+      reduced_motion: 'boolean|string (optional) - Emulated prefers-reduced-motion: true/reduce or false/no-preference',
+      media: 'string (optional) - Emulated CSS media type: screen or print',
+      wait_until: 'string (optional) - Load event to wait for: load, domcontentloaded or networkidle',
+      ms_delay: 'number (optional) - Delay in ms before capture, 0-10000 (default: 300)',
+      wait_for_selector: 'string (optional) - CSS selector that must be visible before capture',
+      wait_for_function: 'string (optional) - JavaScript expression that must become truthy before capture',
+      render_when_ready: 'boolean (optional) - Wait until the page calls window.renderizeReady()',
+      google_fonts: 'array (optional) - Google Fonts families, e.g. ["Inter:400,700"] or [{ family, weights, italic }]',
+      fonts: 'array (optional) - Uploaded fonts [{ family, data (base64 woff2/woff/ttf/otf), weight, style }]',
+      hide_selectors: 'array (optional) - CSS selectors hidden before capture, keeping their layout space',
+      remove_selectors: 'array (optional) - CSS selectors removed from the page before capture',
+      inject_css: 'string (optional) - CSS injected right before capture',
+      block_cookie_banners: 'boolean (optional) - Hide common cookie consent banners (default: false)',
+      init_script: 'string (optional) - JavaScript run before any page script on every navigation',
+      inject_js: 'string (optional) - JavaScript run after load, may use await',
+      script_timeout: 'number (optional) - Time limit in ms for inject_js and init_script, 100-30000 (default: 5000)',
+      async: 'boolean (optional) - Queue the render and respond 202 with a render id to poll (default: false)',
+      webhook_url: 'string (optional) - URL that receives a signed POST when the render succeeds or fails',
+      cache: 'boolean (optional) - Reuse a fresh result of an identical request, reported in X-Renderize-Cache: HIT or MISS (default: RENDER_CACHE_ENABLED)'
     },
     response: {
       success: {
         url: 'string - Public URL of the generated image',
         filename: 'string - Generated filename',
+        format: 'string - Output format',
+        engine: 'string - Rendering engine used for the capture',
+        device: 'string|null - Device preset used for the capture',
+        deviceScale: 'number - Device scale factor used for the capture',
+        viewport: 'object - Viewport { width, height } used for the capture',
+        dimensions: 'object - Pixel dimensions { width, height } of the image',
+        padding: 'object|null - Padding { top, right, bottom, left } applied around the element',
+        clip: 'object|null - Clip rectangle used for the capture',
         size: 'number - File size in bytes',
         created: 'string - Creation timestamp',
+        webhookDeliveryId: 'string (with webhook_url) - Delivery id, see GET /v1/webhooks/deliveries/:id',
+        requestId: 'string - Request identifier',
+        duration: 'string - Processing time'
+      },
+      multiple: {
+        images: 'array - Per-capture { selector, index, status, url, filename, dimensions, size, created } or { selector, status, error }',
+        format: 'string - Output format',
         requestId: 'string - Request identifier',
         duration: 'string - Processing time'
       },
+      queued: {
+        id: 'string - Render id',
+        status: 'string - Always "queued"',
+        statusUrl: 'string - GET /v1/renders/:id URL reporting queued, running, succeeded or failed (also sent as Location)',
+        requestId: 'string - Request identifier',
+        createdAt: 'string - Creation timestamp'
+      },
       error: {
         status: 'string - Error status',
         message: 'string - Error description',
+        script: 'object (script failures only) - { source, message, timedOut } of the failed init_script or inject_js',
         requestId: 'string - Request identifier'
       }
     },
@@ -139,8 +325,18 @@ router.get('/info', (req, res) => {
   });
 });
 
+// List device emulation presets accepted by the device parameter
+router.get('/devices', (req, res) => {
+  const devices = listDevices();
+
+  res.json({
+    devices,
+    count: devices.length
+  });
+});
+
 // Test endpoint for checking URL accessibility
-router.post('/check', validateImageRequest, async (req, res) => {
+router.post('/check', validatePageRequest, async (req, res) => {
   try {
     const { url } = req.validatedData;
     
@@ -168,16 +364,21 @@ router.post('/check', validateImageRequest, async (req, res) => {
       error: error.message
     });
 
-    res.status(500).json({
+    if (error instanceof ServiceUnavailableError) {
+      res.set('Retry-After', String(error.retryAfter));
+    }
+
+    res.status(error instanceof ServiceUnavailableError ? 503 : 500).json({
       status: 'error',
-      message: 'Failed to check URL accessibility',
+      message: error instanceof ServiceUnavailableError ? error.message : 'Failed to check URL accessibility',
+      ...(error instanceof ServiceUnavailableError && { code: error.code }),
       requestId: req.requestId
     });
   }
 });
 
 // Get page information
-router.post('/page-info', validateImageRequest, async (req, res) => {
+router.post('/page-info', validatePageRequest, async (req, res) => {
   try {
     const { url } = req.validatedData;
     
@@ -200,34 +401,42 @@ router.post('/page-info', validateImageRequest, async (req, res) => {
       error: error.message
     });
 
-    res.status(500).json({
+    if (error instanceof ServiceUnavailableError) {
+      res.set('Retry-After', String(error.retryAfter));
+    }
+
+    res.status(error instanceof ServiceUnavailableError ? 503 : 500).json({
       status: 'error',
-      message: 'Failed to retrieve page information',
+      message: error instanceof ServiceUnavailableError ? error.message : 'Failed to retrieve page information',
+      ...(error instanceof ServiceUnavailableError && { code: error.code }),
       requestId: req.requestId
     });
   }
 });
 
 // Full page screenshot endpoint
-router.post('/full-page', validateImageRequest, async (req, res) => {
+router.post('/full-page', validateFullPageRequest, async (req, res) => {
   const requestId = req.requestId || 'unknown';
   const startTime = Date.now();
   
   try {
-    const { url } = req.validatedData;
+    const { url, options } = req.validatedData;
     const user = req.user?.id || 'anonymous';
     
     logger.info('Starting full page screenshot', {
       requestId,
       user,
-      url
+      url,
+      format: options.format,
+      deviceScale: options.deviceScale,
+      viewport: options.viewport
     });
 
     // Capture full page screenshot
-    const imageBuffer = await screenshotService.captureFullPage(url);
+    const imageBuffer = await screenshotService.captureFullPage(url, options);
 
     // Save image
-    const filename = generateFilename(url, 'full-page');
+    const filename = generateFilename(url, 'full-page', options.format);
     const savedImage = await saveImage(imageBuffer, filename);
     
     // Generate public URL
@@ -250,6 +459,11 @@ router.post('/full-page', validateImageRequest, async (req, res) => {
     res.json({
       url: imageUrl,
       filename,
+      format: options.format,
+      engine: options.engine,
+      deviceScale: options.deviceScale,
+      viewport: options.viewport,
+      dimensions: getImageDimensions(imageBuffer),
       size: savedImage.size,
       created: savedImage.created,
       requestId,
@@ -257,6 +471,7 @@ router.post('/full-page', validateImageRequest, async (req, res) => {
     });
 
   } catch (error) {
+    redactError(error, req.validatedData?.options);
     const duration = Date.now() - startTime;
     
     logger.error('Full page screenshot failed', {
@@ -265,13 +480,168 @@ router.post('/full-page', validateImageRequest, async (req, res) => {
       duration: `${duration}ms`
     });
 
-    res.status(500).json({
+    const { status, message, code, script, retryAfter } = describeRenderError(error, 'Failed to capture full page screenshot');
+
+    if (retryAfter !== undefined) {
+      res.set('Retry-After', String(retryAfter));
+    }
+
+    res.status(status).json({
       status: 'error',
-      message: 'Failed to capture full page screenshot',
+      message,
+      ...(code && { code }),
+      ...(script && { script }),
       requestId,
       duration: `${duration}ms`
     });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// Responsive breakpoint sweep endpoint
+router.post('/breakpoints', validateBreakpointRequest, async (req, res) => {
+  const requestId = req.requestId || 'unknown';
+  const startTime = Date.now();
+  
+  try {
+    const { url, html, css, selector, widths, options } = req.validatedData;
+    const user = req.user?.id || 'anonymous';
+    
+    logger.info('Starting breakpoint sweep', {
+      requestId,
+      user,
+      url,
+      selector,
+      source: html ? 'html' : 'url',
+      widths,
+      format: options.format
+    });
+
+    const results = await screenshotService.captureBreakpoints(
+      { url, html, css },
+      selector,
+      widths,
+      { ...options, waitForAnimations: true }
+    );
+
+    const baseUrl = req.get('host') ? `${req.protocol}://${req.get('host')}` : undefined;
+    const breakpoints = [];
+
+    for (const result of results) {
+      if (result.error) {
+        breakpoints.push({ width: result.width, status: 'error', error: redactText(result.error, collectSecrets(options)) });
+        continue;
+      }
+
+      const filename = generateFilename(url || html, `${selector || 'body'}-${result.width}`, options.format);
+      const savedImage = await saveImage(result.buffer, filename);
+
+      breakpoints.push({
+        width: result.width,
+        status: 'success',
+        url: generateImageUrl(filename, baseUrl),
+        filename,
+        dimensions: getImageDimensions(result.buffer),
+        size: savedImage.size,
+        created: savedImage.created
+      });
+    }
+
+    const duration = Date.now() - startTime;
+    const captured = breakpoints.filter(breakpoint => breakpoint.status === 'success').length;
+    
+    logger.info('Breakpoint sweep completed', {
+      requestId,
+      user,
+      url,
+      selector,
+      captured,
+      failed: breakpoints.length - captured,
+      duration: `${duration}ms`
+    });
+
+    res.status(captured > 0 ? 200 : 400).json({
+      ...(captured === 0 && {
+        status: 'error',
+        message: 'Selection could not be captured at any breakpoint'
+      }),
+      breakpoints,
+      format: options.format,
+      engine: options.engine,
+      device: options.device?.name || null,
+      deviceScale: options.deviceScale,
+      padding: options.padding,
+      clip: options.clip,
+      requestId,
+      duration: `${duration}ms`
+    });
+
+  } catch (error) {
+    redactError(error, req.validatedData?.options);
+    const duration = Date.now() - startTime;
+    
+    logger.error('Breakpoint sweep failed', {
+      requestId,
+      url: req.validatedData?.url,
+      selector: req.validatedData?.selector,
+      error: error.message,
+      duration: `${duration}ms`
+    });
+
+    const { status, message, code, script, retryAfter } = describeRenderError(error, 'Failed to capture breakpoints');
+
+    if (retryAfter !== undefined) {
+      res.set('Retry-After', String(retryAfter));
+    }
+
+    res.status(status).json({
+      status: 'error',
+      message,
+      ...(code && { code }),
+      ...(script && { script }),
+      requestId,
+      duration: `${duration}ms`
+    });
+  }
+});
+
+// Batch render endpoint: many image requests in one call, rendered with bounded concurrency
+router.post('/batch', validateBatchRequest, async (req, res) => {
+  const requestId = req.requestId || 'unknown';
+  const startTime = Date.now();
+  const user = req.user?.id || 'anonymous';
+  const { items, concurrency } = req.validatedData;
+
+  // A batch legitimately outlives the global request timeout
+  res.setTimeout(config.batch.timeout);
+
+  logger.info('Starting batch render', { requestId, user, items: items.length, concurrency });
+
+  const results = await renderBatch(items, concurrency, {
+    requestId,
+    user,
+    ip: req.ip,
+    baseUrl: req.get('host') ? `${req.protocol}://${req.get('host')}` : undefined
+  });
+
+  const duration = Date.now() - startTime;
+  const succeeded = results.filter(result => result.status === 200).length;
+
+  logger.info('Batch render completed', {
+    requestId,
+    user,
+    succeeded,
+    failed: results.length - succeeded,
+    duration: `${duration}ms`
+  });
+
+  res.json({
+    results,
+    total: results.length,
+    succeeded,
+    failed: results.length - succeeded,
+    requestId,
+    duration: `${duration}ms`
+  });
+});
+
+module.exports = router;
@@ -1,7 +1,12 @@
 const express = require('express');
 const authRoutes = require('./auth');
 const imageRoutes = require('./image');
+const pdfRoutes = require('./pdf');
+const renderRoutes = require('./renders');
+const webhookRoutes = require('./webhooks');
+const templateRoutes = require('./templates');
 const { basicAuth } = require('../middleware/auth');
+const { renderPool } = require('../services/renderPool');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -15,6 +20,10 @@ router.get('/', (req, res) => {
     endpoints: {
       auth: '/v1/auth/*',
       image: '/v1/image',
+      pdf: '/v1/pdf',
+      renders: '/v1/renders/:id',
+      webhooks: '/v1/webhooks/deliveries',
+      templates: '/v1/templates',
       health: '/health',
       docs: '/v1'
     },
@@ -28,6 +37,18 @@ router.use('/auth', authRoutes);
 // Image conversion routes (protected)
 router.use('/image', basicAuth, imageRoutes);
 
+// PDF rendering routes (protected)
+router.use('/pdf', basicAuth, pdfRoutes);
+
+// Async render status routes (protected)
+router.use('/renders', basicAuth, renderRoutes);
+
+// Webhook delivery history routes (protected)
+router.use('/webhooks', basicAuth, webhookRoutes);
+
+// HTML template routes (protected)
+router.use('/templates', basicAuth, templateRoutes);
+
 // API Status endpoint
 router.get('/status', (req, res) => {
   res.json({
@@ -38,6 +59,7 @@ router.get('/status', (req, res) => {
       used: Math.round(process.memoryUsage().heapUsed / 1024 / 1024 * 100) / 100,
       total: Math.round(process.memoryUsage().heapTotal / 1024 / 1024 * 100) / 100
     },
+    queue: renderPool.getStats(),
     timestamp: new Date().toISOString()
   });
 });
@@ -0,0 +1,150 @@
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const screenshotService = require('../services/screenshot');
+const { describeRenderError } = require('../utils/errors');
+const { saveImage, generateImageUrl, generateFilename } = require('../utils/fileManager');
+const { validatePdfParams, createValidator } = require('../utils/validation');
+const { redactError } = require('../utils/redact');
+
+// Validation middleware for PDF rendering
+const validatePdfRequest = createValidator(validatePdfParams);
+
+// PDF rendering endpoint
+router.post('/', validatePdfRequest, async (req, res) => {
+  const requestId = req.requestId || 'unknown';
+  const startTime = Date.now();
+
+  try {
+    const { url, html, css, options } = req.validatedData;
+    const user = req.user?.id || 'anonymous';
+
+    logger.info('Starting PDF rendering', {
+      requestId,
+      user,
+      url,
+      source: html ? 'html' : 'url',
+      pageSize: options.pageSize,
+      landscape: options.landscape,
+      viewport: options.viewport
+    });
+
+    const pdfBuffer = await screenshotService.capturePdf({ url, html, css }, options);
+
+    // Save PDF alongside images so it is served by the same static router
+    const filename = generateFilename(url || html, 'pdf', 'pdf');
+    const savedFile = await saveImage(pdfBuffer, filename);
+
+    const fileUrl = generateImageUrl(filename, req.get('host')
+      ? `${req.protocol}://${req.get('host')}`
+      : undefined
+    );
+
+    const duration = Date.now() - startTime;
+
+    logger.info('PDF rendering completed', {
+      requestId,
+      user,
+      url,
+      filename,
+      fileSize: savedFile.size,
+      duration: `${duration}ms`
+    });
+
+    res.json({
+      url: fileUrl,
+      filename,
+      format: 'pdf',
+      size: savedFile.size,
+      created: savedFile.created,
+      requestId,
+      duration: `${duration}ms`
+    });
+
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    redactError(error, req.validatedData?.options);
+
+    logger.error('PDF rendering failed', {
+      requestId,
+      user: req.user?.id,
+      url: req.validatedData?.url,
+      error: error.message,
+      duration: `${duration}ms`
+    });
+
+    const { status, message, code, script, retryAfter } = describeRenderError(error, 'Failed to render PDF');
+
+    if (retryAfter !== undefined) {
+      res.set('Retry-After', String(retryAfter));
+    }
+
+    res.status(status).json({
+      status: 'error',
+      message,
+      ...(code && { code }),
+      ...(script && { script }),
+      requestId,
+      duration: `${duration}ms`,
+      ...(process.env.NODE_ENV !== 'production' && {
+        details: error.message
+      })
+    });
+  }
+});
+
+// Get PDF rendering endpoint info
+router.get('/info', (req, res) => {
+  res.json({
+    endpoint: '/v1/pdf',
+    method: 'POST',
+    description: 'Render pages or raw HTML to PDF documents',
+    parameters: {
+      url: 'string (required unless html is given) - URL of the HTML page',
+      html: 'string (optional) - Raw HTML to render instead of loading a URL',
+      css: 'string (optional) - CSS injected into the rendered HTML',
+      viewport_width: 'number (optional) - Viewport width in CSS pixels, 200-7680 (default: 1920)',
+      viewport_height: 'number (optional) - Viewport height in CSS pixels, 200-7680 (default: 1080)',
+      headers: 'object (optional) - Extra HTTP headers sent to the url\'s origin only, e.g. { "X-Preview": "1" }',
+      cookies: 'array (optional) - Cookies [{ name, value, domain, path, url, expires, http_only, secure, same_site }], scoped to url by default',
+      http_credentials: 'object (optional) - HTTP basic auth { username, password } for the url\'s origin only',
+      locale: 'string (optional) - Browser locale, e.g. "de-DE" (affects Intl formatting and Accept-Language)',
+      timezone_id: 'string (optional) - IANA time zone, e.g. "Europe/Berlin"',
+      geolocation: 'object (optional) - { latitude, longitude, accuracy } with geolocation permission granted',
+      color_scheme: 'string (optional) - Emulated prefers-color-scheme: light, dark or no-preference',
+      reduced_motion: 'boolean|string (optional) - Emulated prefers-reduced-motion: true/reduce or false/no-preference',
+      media: 'string (optional) - Emulated CSS media type: screen or print',
+      wait_until: 'string (optional) - Load event to wait for: load, domcontentloaded or networkidle',
+      ms_delay: 'number (optional) - Delay in ms before rendering, 0-10000',
+      wait_for_selector: 'string (optional) - CSS selector that must be visible before rendering',
+      wait_for_function: 'string (optional) - JavaScript expression that must become truthy before rendering',
+      render_when_ready: 'boolean (optional) - Wait until the page calls window.renderizeReady()',
+      google_fonts: 'array (optional) - Google Fonts families, e.g. ["Inter:400,700"] or [{ family, weights, italic }]',
+      fonts: 'array (optional) - Uploaded fonts [{ family, data (base64 woff2/woff/ttf/otf), weight, style }]',
+      page_size: 'string (optional) - Letter, Legal, Tabloid, Ledger or A0-A6 (default: A4)',
+      width: 'string (optional) - Custom page width, e.g. "210mm" (requires height)',
+      height: 'string (optional) - Custom page height, e.g. "297mm" (requires width)',
+      margin: 'string|object (optional) - Uniform margin or { top, right, bottom, left }',
+      landscape: 'boolean (optional) - Landscape orientation (default: false)',
+      print_background: 'boolean (optional) - Print background graphics (default: true)',
+      header_template: 'string (optional) - HTML template for the page header',
+      footer_template: 'string (optional) - HTML template for the page footer',
+      page_ranges: 'string (optional) - Pages to print, e.g. "1-5, 8"'
+    },
+    response: {
+      success: {
+        url: 'string - Public URL of the generated PDF',
+        filename: 'string - Generated filename',
+        format: 'string - Always "pdf"',
+        size: 'number - File size in bytes',
+        created: 'string - Creation timestamp',
+        requestId: 'string - Request identifier',
+        duration: 'string - Processing time'
+      }
+    },
+    authentication: 'HTTP Basic Auth required',
+    status: 'Active'
+  });
+});
+
+module.exports = router;
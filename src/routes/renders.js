@@ -0,0 +1,48 @@
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const { renderStore } = require('../services/renderStore');
+
+// Async render status endpoint
+router.get('/:id', async (req, res) => {
+  const requestId = req.requestId || 'unknown';
+  const { id } = req.params;
+
+  if (!renderStore.isValidId(id)) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Invalid render id',
+      requestId
+    });
+  }
+
+  try {
+    const record = await renderStore.get(id);
+
+    if (!record) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Render not found',
+        requestId
+      });
+    }
+
+    const { bootId, user, ...render } = record;
+    res.json(render);
+
+  } catch (error) {
+    logger.error('Failed to load render', {
+      requestId,
+      renderId: id,
+      error: error.message
+    });
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to load render',
+      requestId
+    });
+  }
+});
+
+module.exports = router;
@@ -16,7 +16,8 @@ const {
   validateImage,
   deleteImage,
   listImages,
-  getImageInfo
+  getImageInfo,
+  isValidImageFilename
 } = require('../utils/fileManager');
 
 const router = express.Router();
@@ -314,7 +315,7 @@ router.delete('/images/:filename', async (req, res) => {
   
   try {
     // Validate filename format
-    if (!filename.match(/^[a-zA-Z0-9\-_]+\.png$/)) {
+    if (!isValidImageFilename(filename)) {
       return res.status(400).json({
         status: 'error',
         message: 'Invalid filename format',
@@ -0,0 +1,268 @@
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const { templateStore } = require('../services/templateStore');
+const { renderImage } = require('../services/imageRenderer');
+const { describeRenderError } = require('../utils/errors');
+const { interpolateTemplate } = require('../utils/templates');
+const { redactError } = require('../utils/redact');
+const {
+  validateTemplateParams,
+  validateTemplateRenderParams,
+  validateImageParams,
+  createValidator,
+  ValidationError
+} = require('../utils/validation');
+
+const validateCreateRequest = createValidator(validateTemplateParams);
+const validateUpdateRequest = createValidator(params => validateTemplateParams(params, { partial: true }));
+const validateRenderRequest = createValidator(validateTemplateRenderParams);
+
+// List templates
+router.get('/', async (req, res) => {
+  const requestId = req.requestId || 'unknown';
+
+  try {
+    const templates = await templateStore.list();
+
+    res.json({
+      templates,
+      count: templates.length,
+      requestId
+    });
+
+  } catch (error) {
+    logger.error('Failed to list templates', { requestId, error: error.message });
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to list templates',
+      requestId
+    });
+  }
+});
+
+// Create a template
+router.post('/', validateCreateRequest, async (req, res) => {
+  const requestId = req.requestId || 'unknown';
+
+  try {
+    const template = await templateStore.create(req.validatedData);
+
+    res.status(201).json({
+      ...await templateStore.get(template.id),
+      requestId
+    });
+
+  } catch (error) {
+    logger.error('Failed to create template', { requestId, error: error.message });
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create template',
+      requestId
+    });
+  }
+});
+
+// Get a template, optionally at an older ?version=
+router.get('/:id', async (req, res) => {
+  const requestId = req.requestId || 'unknown';
+  const version = req.query.version !== undefined ? Number(req.query.version) : null;
+
+  if (version !== null && (!Number.isInteger(version) || version < 1)) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'version must be a positive integer',
+      field: 'version',
+      requestId
+    });
+  }
+
+  try {
+    const template = await templateStore.get(req.params.id, version);
+
+    if (!template) {
+      return res.status(404).json({
+        status: 'error',
+        message: version ? 'Template version not found' : 'Template not found',
+        requestId
+      });
+    }
+
+    res.json({ ...template, requestId });
+
+  } catch (error) {
+    logger.error('Failed to load template', { requestId, templateId: req.params.id, error: error.message });
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to load template',
+      requestId
+    });
+  }
+});
+
+// Update a template by storing a new version
+router.put('/:id', validateUpdateRequest, async (req, res) => {
+  const requestId = req.requestId || 'unknown';
+
+  try {
+    const template = await templateStore.update(req.params.id, req.validatedData);
+
+    if (!template) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Template not found',
+        requestId
+      });
+    }
+
+    res.json({
+      ...await templateStore.get(template.id, template.version),
+      requestId
+    });
+
+  } catch (error) {
+    logger.error('Failed to update template', { requestId, templateId: req.params.id, error: error.message });
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update template',
+      requestId
+    });
+  }
+});
+
+// Delete a template with all its versions
+router.delete('/:id', async (req, res) => {
+  const requestId = req.requestId || 'unknown';
+
+  try {
+    const deleted = await templateStore.delete(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Template not found',
+        requestId
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Template deleted',
+      id: req.params.id,
+      requestId
+    });
+
+  } catch (error) {
+    logger.error('Failed to delete template', { requestId, templateId: req.params.id, error: error.message });
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete template',
+      requestId
+    });
+  }
+});
+
+// Render a template with data substituted into its HTML
+router.post('/:id/render', validateRenderRequest, async (req, res) => {
+  const requestId = req.requestId || 'unknown';
+  const startTime = Date.now();
+  const user = req.user?.id || 'anonymous';
+  const { data, version, captureParams } = req.validatedData;
+  let options;
+
+  try {
+    const template = await templateStore.get(req.params.id, version);
+
+    if (!template) {
+      return res.status(404).json({
+        status: 'error',
+        message: version ? 'Template version not found' : 'Template not found',
+        requestId
+      });
+    }
+
+    const { output, missing } = interpolateTemplate(template.html, data);
+
+    if (missing.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Missing template variables: ${missing.join(', ')}`,
+        field: 'data',
+        missing,
+        requestId
+      });
+    }
+
+    let validatedData;
+    try {
+      validatedData = validateImageParams({
+        ...captureParams,
+        html: output,
+        ...(template.css && { css: template.css })
+      });
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({
+          status: 'error',
+          message: error.message,
+          field: error.field || 'unknown',
+          requestId
+        });
+      }
+      throw error;
+    }
+
+    options = validatedData.options;
+
+    const { status, body, cache } = await renderImage(validatedData, {
+      requestId,
+      user,
+      ip: req.ip,
+      baseUrl: req.get('host') ? `${req.protocol}://${req.get('host')}` : undefined,
+      startTime
+    });
+
+    if (cache) {
+      res.set('X-Renderize-Cache', cache);
+    }
+
+    res.status(status).json({
+      ...body,
+      template: { id: template.id, version: template.version }
+    });
+
+  } catch (error) {
+    redactError(error, options);
+    const duration = Date.now() - startTime;
+
+    logger.error('Template render failed', {
+      requestId,
+      user,
+      templateId: req.params.id,
+      error: error.message,
+      duration: `${duration}ms`
+    });
+
+    const { status, message, code, script, retryAfter } = describeRenderError(error);
+
+    if (retryAfter !== undefined) {
+      res.set('Retry-After', String(retryAfter));
+    }
+
+    res.status(status).json({
+      status: 'error',
+      message,
+      ...(code && { code }),
+      ...(script && { script }),
+      requestId,
+      duration: `${duration}ms`
+    });
+  }
+});
+
+module.exports = router;
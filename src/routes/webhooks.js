@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+const { webhookDispatcher } = require('../services/webhooks');
+const { validatePagination, ValidationError } = require('../utils/validation');
+
+// Webhook delivery history, newest first
+router.get('/deliveries', (req, res) => {
+  const requestId = req.requestId || 'unknown';
+  let pagination;
+
+  try {
+    pagination = validatePagination(req.query);
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message,
+        field: error.field,
+        requestId
+      });
+    }
+    throw error;
+  }
+
+  const deliveries = webhookDispatcher.list({ renderId: req.query.render_id || null });
+
+  res.json({
+    deliveries: deliveries.slice(pagination.offset, pagination.offset + pagination.limit),
+    total: deliveries.length,
+    page: pagination.page,
+    limit: pagination.limit,
+    requestId
+  });
+});
+
+// Single webhook delivery with its attempt history
+router.get('/deliveries/:id', (req, res) => {
+  const delivery = webhookDispatcher.get(req.params.id);
+
+  if (!delivery) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Webhook delivery not found',
+      requestId: req.requestId || 'unknown'
+    });
+  }
+
+  res.json(delivery);
+});
+
+module.exports = router;
@@ -10,6 +10,7 @@ const path = require('path');
 const config = require('./config');
 const logger = require('./utils/logger');
 const jobScheduler = require('./services/jobScheduler');
+const screenshotService = require('./services/screenshot');
 
 // Import routes and middleware
 const apiRoutes = require('./routes');
@@ -76,6 +77,8 @@ app.use('/v1', apiRoutes);
 
 // Health check endpoint (separate from API versioning)
 app.get('/health', (req, res) => {
+  const browserStatus = screenshotService.getStatus();
+
   res.json({
     status: 'healthy',
     uptime: process.uptime(),
@@ -86,6 +89,12 @@ app.get('/health', (req, res) => {
       heapUsed: Math.round(process.memoryUsage().heapUsed / 1024 / 1024 * 100) / 100,
       external: Math.round(process.memoryUsage().external / 1024 / 1024 * 100) / 100
     },
+    browser: {
+      connected: Boolean(browserStatus.connected),
+      restarts: browserStatus.restarts,
+      crashes: browserStatus.crashes,
+      lastCrashAt: browserStatus.lastCrashAt
+    },
     version: process.version,
     environment: process.env.NODE_ENV || 'development'
   });
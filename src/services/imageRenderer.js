@@ -0,0 +1,244 @@
+const logger = require('../utils/logger');
+const screenshotService = require('./screenshot');
+const { renderCache } = require('./renderCache');
+const { describeRenderError } = require('../utils/errors');
+const {
+  saveImage,
+  generateImageUrl,
+  generateFilename,
+  getImageDimensions
+} = require('../utils/fileManager');
+const { redactError, redactText, collectSecrets } = require('../utils/redact');
+
+/**
+ * Image rendering shared by synchronous requests and async render jobs
+ */
+
+/**
+ * Render validated image parameters, store the result and build the response body
+ * Returns { status, body, cache } where cache is 'HIT', 'MISS', 'REFRESH' (cache: false replaced the stored
+ * result) or null when the cache was not used; capture failures are thrown and described by describeRenderError().
+ * `context.slot` is passed to the render pool (see ScreenshotService.newPooledContext).
+ */
+async function renderImage(validatedData, context) {
+  const { requestId, baseUrl, startTime = Date.now() } = context;
+  const cacheKey = validatedData.cache || validatedData.refreshCache ? renderCache.getKey(validatedData) : null;
+
+  if (cacheKey && !validatedData.refreshCache) {
+    const cached = await renderCache.get(cacheKey, baseUrl);
+
+    if (cached) {
+      logger.info('Image served from render cache', { requestId, user: context.user, url: validatedData.url, cacheKey });
+      return {
+        status: 200,
+        body: { ...cached, requestId, duration: `${Date.now() - startTime}ms` },
+        cache: 'HIT'
+      };
+    }
+  }
+
+  const { status, body } = await captureImage(validatedData, { ...context, startTime });
+  const complete = status === 200 && !body.images?.some(image => image.status === 'error');
+
+  if (cacheKey && complete) {
+    await renderCache.set(cacheKey, body).catch(error => {
+      logger.warn('Failed to store render cache entry', { requestId, cacheKey, error: error.message });
+    });
+  }
+
+  return { status, body, cache: cacheKey ? (validatedData.refreshCache ? 'REFRESH' : 'MISS') : null };
+}
+
+/**
+ * Capture and store the image(s) for validated image parameters
+ */
+async function captureImage(validatedData, { requestId, user, ip, baseUrl, startTime, slot }) {
+  const { url, selector, selectors, all, html, css } = validatedData;
+  // Render pool slot settings of async renders travel with the capture options
+  const options = slot ? { ...validatedData.options, slot } : validatedData.options;
+
+  logger.info('Starting image conversion', {
+    requestId,
+    user,
+    url,
+    selector,
+    selectors,
+    all,
+    source: html ? 'html' : 'url',
+    format: options.format,
+    engine: options.engine,
+    omitBackground: options.omitBackground,
+    device: options.device?.name,
+    deviceScale: options.deviceScale,
+    viewport: options.viewport,
+    ip
+  });
+
+  // Multiple selectors (or every match) are captured from a single page load
+  if (selectors || all) {
+    const results = await screenshotService.captureElements(
+      { url, html, css },
+      selectors || [selector],
+      { ...options, all, waitForAnimations: true }
+    );
+
+    const images = [];
+
+    for (const result of results) {
+      const entry = { selector: result.selector, ...(result.index !== undefined && { index: result.index }) };
+
+      if (result.error) {
+        images.push({ ...entry, status: 'error', error: redactText(result.error, collectSecrets(options)) });
+        continue;
+      }
+
+      const filename = generateFilename(url || html, `${result.selector}-${result.index ?? 0}`, options.format);
+      const savedImage = await saveImage(result.buffer, filename);
+
+      images.push({
+        ...entry,
+        status: 'success',
+        url: generateImageUrl(filename, baseUrl),
+        filename,
+        dimensions: getImageDimensions(result.buffer),
+        size: savedImage.size,
+        created: savedImage.created
+      });
+    }
+
+    const duration = Date.now() - startTime;
+    const captured = images.filter(image => image.status === 'success').length;
+
+    logger.info('Multi-element capture completed', {
+      requestId,
+      user,
+      url,
+      captured,
+      failed: images.length - captured,
+      duration: `${duration}ms`
+    });
+
+    return {
+      status: captured > 0 ? 200 : 400,
+      body: {
+        ...(captured === 0 && {
+          status: 'error',
+          message: 'None of the requested selectors could be captured'
+        }),
+        images,
+        format: options.format,
+        engine: options.engine,
+        device: options.device?.name || null,
+        deviceScale: options.deviceScale,
+        viewport: options.viewport,
+        padding: options.padding,
+        requestId,
+        duration: `${duration}ms`
+      }
+    };
+  }
+
+  // Capture screenshot directly - error handling is done within the service
+  logger.debug('Capturing screenshot', { requestId, url, selector });
+  const imageBuffer = html
+    ? await screenshotService.captureHtml(html, {
+      ...options,
+      css,
+      selector,
+      waitForAnimations: true
+    })
+    : await screenshotService.captureElement(url, selector, {
+      ...options,
+      waitForAnimations: true
+    });
+
+  // Generate filename and save image
+  const filename = generateFilename(url || html, selector || 'body', options.format);
+  logger.debug('Saving image', { requestId, filename, size: imageBuffer.length });
+
+  const savedImage = await saveImage(imageBuffer, filename);
+  const duration = Date.now() - startTime;
+
+  logger.info('Image conversion completed successfully', {
+    requestId,
+    user,
+    url,
+    selector,
+    filename,
+    fileSize: savedImage.size,
+    duration: `${duration}ms`
+  });
+
+  return {
+    status: 200,
+    body: {
+      url: generateImageUrl(filename, baseUrl),
+      filename,
+      format: options.format,
+      engine: options.engine,
+      device: options.device?.name || null,
+      deviceScale: options.deviceScale,
+      viewport: options.viewport,
+      dimensions: getImageDimensions(imageBuffer),
+      padding: options.padding,
+      clip: options.clip,
+      size: savedImage.size,
+      created: savedImage.created,
+      requestId,
+      duration: `${duration}ms`
+    }
+  };
+}
+
+/**
+ * Render validated batch items with at most `concurrency` renders in flight
+ * Resolves with one { index, status, result } or { index, status, error } per item, in item order; never rejects
+ * for a failed item.
+ */
+async function renderBatch(items, concurrency, context) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const item = items[next++];
+      results[item.index] = await renderBatchItem(item, context);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  return results;
+}
+
+async function renderBatchItem({ index, data, error: validationError }, context) {
+  if (validationError) {
+    return { index, status: 400, error: { message: validationError.message, field: validationError.field } };
+  }
+
+  const requestId = `${context.requestId}-${index}`;
+  const startTime = Date.now();
+
+  try {
+    const { status, body, cache } = await renderImage(data, { ...context, requestId, startTime });
+    return { index, status, ...(cache && { cache }), result: body };
+
+  } catch (error) {
+    redactError(error, data.options);
+
+    logger.error('Batch item failed', {
+      requestId,
+      url: data.url,
+      selector: data.selector,
+      error: error.message,
+      duration: `${Date.now() - startTime}ms`
+    });
+
+    const { status, message, code, script } = describeRenderError(error);
+    return { index, status, error: { message, ...(code && { code }), ...(script && { script }) } };
+  }
+}
+
+module.exports = {
+  renderImage,
+  renderBatch
+};
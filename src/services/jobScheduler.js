@@ -1,6 +1,8 @@
 const cron = require('node-cron');
 const logger = require('../utils/logger');
 const { cleanOldImages, getDirectoryStats } = require('../utils/fileManager');
+const { renderStore } = require('./renderStore');
+const { renderCache } = require('./renderCache');
 const config = require('../config');
 
 /**
@@ -87,6 +89,10 @@ class JobScheduler {
           duration: result.duration || 'unknown'
         });
 
+        // Async render records expire with the images they point to
+        await renderStore.cleanup(maxAge);
+        await renderCache.cleanup();
+
         // Log storage stats after cleanup
         const stats = await getDirectoryStats();
         logger.info('Storage stats after cleanup', {
@@ -0,0 +1,178 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { imageExists, generateImageUrl } = require('../utils/fileManager');
+
+// Bump when the meaning of a render spec changes so older entries stop matching
+const CACHE_KEY_VERSION = 1;
+
+// Options that carry credentials: never hashed into keys, and requests using them are not cached
+const CREDENTIAL_OPTIONS = ['headers', 'cookies', 'httpCredentials'];
+
+/**
+ * JSON.stringify with object keys sorted, so equal specs always serialize identically
+ * Buffers (uploaded font files) are reduced to their sha256 digest.
+ */
+function stableStringify(value) {
+  if (Buffer.isBuffer(value)) {
+    return JSON.stringify(crypto.createHash('sha256').update(value).digest('hex'));
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+
+  return JSON.stringify(value) ?? 'null';
+}
+
+/**
+ * Content-addressed cache of image render responses
+ * Entries are keyed on a hash of the normalized render spec and stored as JSON files that point at the
+ * stored images; a hit requires a fresh entry whose images still exist.
+ */
+class RenderCache {
+  constructor(options = config.cache) {
+    this.dir = options.dir;
+    this.ttlMs = options.ttlSeconds * 1000;
+  }
+
+  /**
+   * Cache key for validated image parameters, or null when the request cannot be cached
+   * Requests sending headers, cookies or HTTP credentials may render per-user content and are never cached.
+   */
+  getKey({ url, html, css, selector, selectors, all, options }) {
+    if (CREDENTIAL_OPTIONS.some(option => options[option])) {
+      return null;
+    }
+
+    const spec = {
+      version: CACHE_KEY_VERSION,
+      url: url || null,
+      html: html || null,
+      css: css || null,
+      selector,
+      selectors,
+      all,
+      options: Object.fromEntries(
+        Object.entries(options).filter(([option]) => !CREDENTIAL_OPTIONS.includes(option))
+      )
+    };
+
+    return crypto.createHash('sha256').update(stableStringify(spec)).digest('hex');
+  }
+
+  getPath(key) {
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  /**
+   * Load a fresh cached response body with image URLs rebuilt for baseUrl, or null on a miss
+   */
+  async get(key, baseUrl) {
+    let entry;
+    try {
+      entry = JSON.parse(await fs.readFile(this.getPath(key), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Failed to read render cache entry', { key, error: error.message });
+      }
+      return null;
+    }
+
+    if (Date.parse(entry.expiresAt) <= Date.now()) {
+      return null;
+    }
+
+    const { body } = entry;
+    const images = body.images ? body.images.filter(image => image.filename) : [body];
+
+    // The image cleanup job may have removed the files before the entry expired
+    for (const image of images) {
+      if (!await imageExists(image.filename)) {
+        return null;
+      }
+    }
+
+    return body.images
+      ? {
+        ...body,
+        images: body.images.map(image => image.filename
+          ? { ...image, url: generateImageUrl(image.filename, baseUrl) }
+          : image)
+      }
+      : { ...body, url: generateImageUrl(body.filename, baseUrl) };
+  }
+
+  /**
+   * Store a successful response body under key
+   * Per-request fields (requestId, duration) are dropped.
+   */
+  async set(key, { requestId, duration, ...body }) {
+    const now = Date.now();
+    const entry = {
+      key,
+      body,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.ttlMs).toISOString()
+    };
+    const filepath = this.getPath(key);
+    const tempPath = `${filepath}.${crypto.randomUUID()}.tmp`;
+
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(entry));
+    await fs.rename(tempPath, filepath);
+  }
+
+  /**
+   * Delete expired cache entries
+   */
+  async cleanup() {
+    let files;
+
+    try {
+      files = await fs.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { deletedCount: 0 };
+      }
+      throw error;
+    }
+
+    let deletedCount = 0;
+
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      const filepath = path.join(this.dir, file);
+
+      try {
+        const entry = JSON.parse(await fs.readFile(filepath, 'utf8'));
+        if (Date.parse(entry.expiresAt) <= Date.now()) {
+          await fs.unlink(filepath);
+          deletedCount++;
+        }
+      } catch (error) {
+        logger.warn('Failed to clean render cache entry', { file, error: error.message });
+      }
+    }
+
+    logger.info('Render cache cleanup completed', { deletedCount });
+    return { deletedCount };
+  }
+}
+
+// Create singleton instance
+const renderCache = new RenderCache();
+
+module.exports = {
+  RenderCache,
+  renderCache
+};
@@ -0,0 +1,130 @@
+const logger = require('../utils/logger');
+const config = require('../config');
+const { QueueError } = require('../utils/errors');
+
+/**
+ * Concurrency limiter for browser pages with a bounded FIFO wait queue
+ * Callers acquire a slot before opening a browser context and release it once the context is closed.
+ * Background (async render) requests wait in a separate unbounded queue without a timeout and get freed slots
+ * only when no synchronous request is waiting.
+ */
+class RenderPool {
+  constructor(options = config.pool) {
+    this.maxPages = options.maxPages;
+    this.maxQueue = options.maxQueue;
+    this.queueTimeout = options.queueTimeout;
+    this.retryAfter = options.retryAfter;
+
+    this.active = 0;
+    this.queue = [];
+    this.backgroundQueue = [];
+    this.stats = {
+      acquired: 0,
+      rejected: 0,
+      timedOut: 0,
+      totalWaitMs: 0,
+      maxWaitMs: 0
+    };
+  }
+
+  /**
+   * Wait for a free page slot
+   * Resolves with an idempotent release() function; rejects with QueueError when the queue is full or times out.
+   * Background requests never reject, they wait until a slot is free.
+   */
+  acquire({ background = false } = {}) {
+    if (this.active < this.maxPages && this.queue.length === 0 && this.backgroundQueue.length === 0) {
+      return Promise.resolve(this.grant(Date.now()));
+    }
+
+    if (background) {
+      return new Promise(resolve => {
+        this.backgroundQueue.push({ enqueuedAt: Date.now(), resolve, reject: null, timer: null });
+      });
+    }
+
+    if (this.queue.length >= this.maxQueue) {
+      this.stats.rejected++;
+      logger.warn('Render queue full', { active: this.active, queued: this.queue.length });
+      return Promise.reject(new QueueError('Render queue is full, try again later', 'QUEUE_FULL', this.retryAfter));
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = { enqueuedAt: Date.now(), resolve, reject, timer: null };
+
+      entry.timer = setTimeout(() => {
+        this.queue.splice(this.queue.indexOf(entry), 1);
+        this.stats.timedOut++;
+        logger.warn('Render queue timeout', { waited: `${Date.now() - entry.enqueuedAt}ms` });
+        reject(new QueueError(
+          `Timed out after ${this.queueTimeout}ms waiting for a free render slot`,
+          'QUEUE_TIMEOUT',
+          this.retryAfter
+        ));
+      }, this.queueTimeout);
+
+      this.queue.push(entry);
+    });
+  }
+
+  /**
+   * Take a slot and build its release function
+   */
+  grant(enqueuedAt) {
+    const waitMs = Date.now() - enqueuedAt;
+    let released = false;
+
+    this.active++;
+    this.stats.acquired++;
+    this.stats.totalWaitMs += waitMs;
+    this.stats.maxWaitMs = Math.max(this.stats.maxWaitMs, waitMs);
+
+    return () => {
+      if (released) return;
+      released = true;
+      this.active--;
+      this.next();
+    };
+  }
+
+  /**
+   * Hand the freed slot to the oldest queued request
+   */
+  next() {
+    if (this.active >= this.maxPages || (this.queue.length === 0 && this.backgroundQueue.length === 0)) {
+      return;
+    }
+
+    const entry = this.queue.length > 0 ? this.queue.shift() : this.backgroundQueue.shift();
+    clearTimeout(entry.timer);
+    entry.resolve(this.grant(entry.enqueuedAt));
+  }
+
+  /**
+   * Queue depth and wait time statistics
+   */
+  getStats() {
+    return {
+      maxPages: this.maxPages,
+      activePages: this.active,
+      maxQueue: this.maxQueue,
+      queueDepth: this.queue.length,
+      backgroundQueueDepth: this.backgroundQueue.length,
+      queueTimeout: this.queueTimeout,
+      oldestWaitMs: this.queue.length ? Date.now() - this.queue[0].enqueuedAt : 0,
+      averageWaitMs: this.stats.acquired ? Math.round(this.stats.totalWaitMs / this.stats.acquired) : 0,
+      maxWaitMs: this.stats.maxWaitMs,
+      acquired: this.stats.acquired,
+      rejected: this.stats.rejected,
+      timedOut: this.stats.timedOut
+    };
+  }
+}
+
+// Create singleton instance
+const renderPool = new RenderPool();
+
+module.exports = {
+  RenderPool,
+  renderPool
+};
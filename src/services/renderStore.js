@@ -0,0 +1,153 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+const RENDER_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Identifies this process so records left queued or running by a previous one can be reported as failed
+const BOOT_ID = crypto.randomUUID();
+
+/**
+ * Disk-backed store for asynchronous render records
+ * Each record is a JSON file named after its render id; writes go through a temp file and rename.
+ */
+class RenderStore {
+  constructor(dir = config.renders.dir) {
+    this.dir = dir;
+  }
+
+  /**
+   * Check that an id has the shape of a render id (and is safe to use as a filename)
+   */
+  isValidId(id) {
+    return typeof id === 'string' && RENDER_ID_PATTERN.test(id);
+  }
+
+  getPath(id) {
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  /**
+   * Create a queued render record
+   * Only the given request summary is stored, so credentials never reach the disk.
+   */
+  async create({ requestId, user, request }) {
+    const now = new Date().toISOString();
+    const record = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      requestId,
+      user,
+      request,
+      result: null,
+      error: null,
+      webhookDeliveryId: null,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      completedAt: null,
+      bootId: BOOT_ID
+    };
+
+    await fs.mkdir(this.dir, { recursive: true });
+    await this.write(record);
+
+    logger.debug('Render record created', { id: record.id, requestId });
+    return record;
+  }
+
+  /**
+   * Load a render record, or null when it does not exist
+   */
+  async get(id) {
+    if (!this.isValidId(id)) {
+      return null;
+    }
+
+    let record;
+    try {
+      record = JSON.parse(await fs.readFile(this.getPath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    // A render that never finished before the server restarted will not finish now
+    if ((record.status === 'queued' || record.status === 'running') && record.bootId !== BOOT_ID) {
+      record.status = 'failed';
+      record.error = { status: 500, message: 'Render interrupted by server restart' };
+    }
+
+    return record;
+  }
+
+  /**
+   * Merge changes into a render record
+   */
+  async update(id, changes) {
+    const record = await this.get(id);
+    if (!record) {
+      throw new Error(`Render not found: ${id}`);
+    }
+
+    const updated = { ...record, ...changes, updatedAt: new Date().toISOString() };
+    await this.write(updated);
+    return updated;
+  }
+
+  async write(record) {
+    const filepath = this.getPath(record.id);
+    const tempPath = `${filepath}.${crypto.randomUUID()}.tmp`;
+
+    await fs.writeFile(tempPath, JSON.stringify(record, null, 2));
+    await fs.rename(tempPath, filepath);
+  }
+
+  /**
+   * Delete render records last updated before maxAgeMs
+   */
+  async cleanup(maxAgeMs) {
+    const cutoffTime = Date.now() - maxAgeMs;
+    let files;
+
+    try {
+      files = await fs.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { deletedCount: 0 };
+      }
+      throw error;
+    }
+
+    let deletedCount = 0;
+
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      const filepath = path.join(this.dir, file);
+
+      try {
+        const stats = await fs.stat(filepath);
+        if (stats.mtime.getTime() < cutoffTime) {
+          await fs.unlink(filepath);
+          deletedCount++;
+        }
+      } catch (error) {
+        logger.warn('Failed to delete old render record', { file, error: error.message });
+      }
+    }
+
+    logger.info('Old render records cleanup completed', { deletedCount, maxAgeMs });
+    return { deletedCount };
+  }
+}
+
+// Create singleton instance
+const renderStore = new RenderStore();
+
+module.exports = {
+  RenderStore,
+  renderStore
+};
@@ -1,158 +1,943 @@
-const { chromium } = require('playwright');
+const playwright = require('playwright');
 const logger = require('../utils/logger');
 const config = require('../config');
+const { resolveFonts } = require('../utils/fonts');
+const { COOKIE_BANNER_SELECTORS } = require('../utils/cookieBanners');
+const { renderPool } = require('./renderPool');
+const { ServiceUnavailableError, BrowserCrashError } = require('../utils/errors');
+
+// Upper bound on captures per selector when every match is requested
+const MAX_MATCHES_PER_SELECTOR = 50;
+
+// Pause in ms between main-thread probes while a page with an init_script loads
+const INIT_SCRIPT_PROBE_INTERVAL = 100;
+
+// Launch arguments per engine; the Chromium flags keep it stable inside containers
+const ENGINE_LAUNCH_ARGS = {
+  chromium: [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-accelerated-2d-canvas',
+    '--disable-gpu',
+    '--window-size=1920,1080'
+  ],
+  firefox: [],
+  webkit: []
+};
 
 /**
  * Screenshot capture service using Playwright
+ * Each enabled engine gets its own browser, launched on first use.
  */
 class ScreenshotService {
   constructor() {
-    this.browser = null;
-    this.isInitialized = false;
+    this.engines = new Map();
+    this.closing = false;
+  }
+
+  /**
+   * Get the launch state of an engine
+   */
+  getEngine(engine = config.browser.defaultEngine) {
+    if (!this.engines.has(engine)) {
+      this.engines.set(engine, {
+        browser: null,
+        launching: null,
+        restartPending: false,
+        restarts: 0,
+        crashes: 0,
+        lastCrashAt: null
+      });
+    }
+
+    return this.engines.get(engine);
+  }
+
+  /**
+   * Initialize the engine's browser and return it
+   * Concurrent callers share the same launch.
+   */
+  async initialize(engine = config.browser.defaultEngine) {
+    const state = this.getEngine(engine);
+
+    if (state.browser) {
+      return state.browser;
+    }
+
+    if (!state.launching) {
+      state.launching = this.launch(engine).finally(() => {
+        state.launching = null;
+      });
+    }
+
+    return state.launching;
+  }
+
+  /**
+   * Launch a browser and watch it for unexpected disconnects
+   */
+  async launch(engine) {
+    const state = this.getEngine(engine);
+
+    if (!config.browser.engines.includes(engine)) {
+      throw new Error(`Browser initialization failed: engine ${engine} is not enabled`);
+    }
+
+    try {
+      logger.info('Initializing Playwright browser...', { engine });
+      
+      const browser = await playwright[engine].launch({
+        headless: config.browser.headless,
+        args: ENGINE_LAUNCH_ARGS[engine]
+      });
+
+      browser.on('disconnected', () => this.handleDisconnect(engine, browser));
+
+      state.browser = browser;
+
+      if (state.restartPending) {
+        state.restartPending = false;
+        state.restarts++;
+      }
+
+      logger.info('Playwright browser initialized successfully', { engine, restarts: state.restarts });
+      return browser;
+      
+    } catch (error) {
+      logger.error('Failed to initialize browser:', { engine, error: error.message });
+      throw new Error(`Browser initialization failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Forget a browser that went away and relaunch it unless the service is shutting down
+   */
+  handleDisconnect(engine, browser) {
+    const state = this.getEngine(engine);
+
+    if (state.browser !== browser) {
+      return;
+    }
+
+    state.browser = null;
+
+    if (this.closing) {
+      return;
+    }
+
+    state.crashes++;
+    state.restartPending = true;
+    state.lastCrashAt = new Date().toISOString();
+    logger.error('Browser disconnected unexpectedly, relaunching', { engine, crashes: state.crashes });
+
+    this.relaunch(engine);
+  }
+
+  /**
+   * Relaunch a browser with exponential backoff
+   * Renders arriving in the meantime launch it themselves; this loop stops once any launch succeeds.
+   */
+  async relaunch(engine) {
+    const state = this.getEngine(engine);
+    const { maxAttempts, backoffMs, maxBackoffMs } = config.browser.restart;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const delay = Math.min(backoffMs * 2 ** (attempt - 1), maxBackoffMs);
+      await new Promise(resolve => setTimeout(resolve, delay).unref());
+
+      if (state.browser || this.closing) {
+        return;
+      }
+
+      try {
+        await this.initialize(engine);
+        logger.info('Browser relaunched after crash', { engine, attempt, restarts: state.restarts });
+        return;
+      } catch (error) {
+        logger.warn('Browser relaunch attempt failed', { engine, attempt, maxAttempts, error: error.message });
+      }
+    }
+
+    logger.error('Browser relaunch gave up, the next render will try again', { engine, maxAttempts });
+  }
+
+  /**
+   * Whether a render failed because its browser disconnected underneath it
+   */
+  isBrowserCrash(context) {
+    const browser = context && context.browser();
+    return Boolean(browser) && !browser.isConnected() && !this.closing;
+  }
+
+  /**
+   * Open a browser context once the render pool grants a page slot
+   * The slot is released when the context closes, including when the browser goes away. `slot.background` queues
+   * without limits (async renders) and `slot.onAcquire` is called once the slot is granted.
+   */
+  async newPooledContext(contextOptions = {}, engine = config.browser.defaultEngine, slot = {}) {
+    const release = await renderPool.acquire({ background: slot.background });
+
+    if (slot.onAcquire) {
+      slot.onAcquire();
+    }
+
+    try {
+      // Launches the engine on first use, or again if it crashed while this render was queued
+      const browser = await this.initialize(engine);
+      const context = await browser.newContext(contextOptions);
+      context.once('close', release);
+      return context;
+    } catch (error) {
+      release();
+      throw error;
+    }
+  }
+
+  /**
+   * Create an isolated browser context for a capture request
+   * Custom headers and HTTP credentials are only sent to the origin of targetUrl, never to third parties.
+   */
+  async createContext(options = {}, targetUrl = null) {
+    const viewport = options.viewport || config.browser.viewport;
+
+    const engine = options.engine || config.browser.defaultEngine;
+    const targetOrigin = targetUrl ? new URL(targetUrl).origin : null;
+
+    const context = await this.newPooledContext({
+      viewport: {
+        width: viewport.width,
+        height: viewport.height
+      },
+      deviceScaleFactor: options.deviceScale || 1,
+      // Device presets replace the global user agent and enable mobile viewport/touch emulation
+      userAgent: options.device?.userAgent || config.browser.userAgent,
+      ...(options.device && {
+        // Firefox has no mobile viewport emulation
+        ...(engine !== 'firefox' && { isMobile: options.device.isMobile }),
+        hasTouch: options.device.hasTouch
+      }),
+      ...(options.locale && { locale: options.locale }),
+      ...(options.timezoneId && { timezoneId: options.timezoneId }),
+      ...(options.geolocation && {
+        geolocation: options.geolocation,
+        permissions: ['geolocation']
+      }),
+      // Credentials live only in this request's context, so they never leak into other captures
+      ...(options.httpCredentials && targetOrigin && {
+        httpCredentials: { ...options.httpCredentials, origin: targetOrigin }
+      })
+    }, engine, options.slot);
+
+    if (options.headers && targetOrigin) {
+      try {
+        await context.route(
+          requestUrl => requestUrl.origin === targetOrigin,
+          route => route.continue({ headers: { ...route.request().headers(), ...options.headers } })
+        );
+      } catch (error) {
+        await context.close().catch(() => {});
+        throw error;
+      }
+    }
+
+    if (options.cookies?.length) {
+      try {
+        await context.addCookies(options.cookies);
+      } catch (error) {
+        await context.close().catch(() => {});
+        throw new Error(`Invalid cookies: ${error.message.split('\n')[0]}`);
+      }
+    }
+
+    return context;
+  }
+
+  /**
+   * Prepare a fresh page before any content is loaded
+   */
+  async preparePage(page, options = {}) {
+    // Media emulation persists across navigations, so it is applied before loading the source
+    if (options.colorScheme || options.reducedMotion || options.media) {
+      await page.emulateMedia({
+        ...(options.colorScheme && { colorScheme: options.colorScheme }),
+        ...(options.reducedMotion && { reducedMotion: options.reducedMotion }),
+        ...(options.media && { media: options.media })
+      });
+    }
+
+    // Expose window.renderizeReady() so pages can signal they finished rendering
+    if (options.renderWhenReady) {
+      await page.addInitScript(installReadySignal);
+      await page.evaluate(installReadySignal);
+    }
+
+    // Runs before any page script on every document; errors are recorded for runScripts()
+    if (options.initScript) {
+      await page.addInitScript({ content: wrapInitScript(options.initScript) });
+    }
+  }
+
+  /**
+   * Load a render source into the page: navigate to { url } or set { html, css } content
+   * The request's wait_until event overrides the caller's default load event. With an init_script the load is
+   * watched so a script blocking the page fails within the script time limit.
+   */
+  async loadSource(page, source, options = {}, defaultWaitUntil = 'domcontentloaded') {
+    if (!options.initScript) {
+      return this.loadContent(page, source, options, defaultWaitUntil);
+    }
+
+    const watch = { stopped: false };
+
+    try {
+      await Promise.race([
+        this.loadContent(page, source, options, defaultWaitUntil),
+        this.watchInitScript(page, options.scriptTimeout || config.browser.scriptTimeout, watch)
+      ]);
+    } finally {
+      watch.stopped = true;
+    }
+  }
+
+  /**
+   * Probe the page's main thread while it loads and reject with an init_script timeout when it stops answering
+   * for `timeout` ms before the init script finished in the current document (page scripts only run after it).
+   * A stall after the script finished is left to the navigation timeout.
+   */
+  async watchInitScript(page, timeout, watch) {
+    let finished = false;
+
+    while (!watch.stopped) {
+      let timer = null;
+      const answer = await Promise.race([
+        // Fails while a navigation replaces the document, whose init script has then not run yet
+        page.evaluate(() => window.__renderizeInitScriptDone === true).then(done => ({ done }), () => ({ done: false })),
+        new Promise(resolve => {
+          timer = setTimeout(() => resolve(null), timeout);
+        })
+      ]);
+      clearTimeout(timer);
+
+      if (watch.stopped) {
+        return;
+      }
+
+      if (!answer) {
+        if (!finished) {
+          throw createScriptError('init_script', `timed out after ${timeout}ms`, true);
+        }
+        continue;
+      }
+
+      finished = answer.done;
+      await new Promise(resolve => setTimeout(resolve, INIT_SCRIPT_PROBE_INTERVAL));
+    }
+  }
+
+  /**
+   * Navigate to or set the source content
+   */
+  async loadContent(page, source, options, defaultWaitUntil) {
+    if (source.html) {
+      await page.setContent(source.html, {
+        waitUntil: options.waitUntil || 'load',
+        timeout: config.browser.timeout
+      });
+
+      if (source.css) {
+        await page.addStyleTag({ content: source.css });
+      }
+      return;
+    }
+
+    logger.debug('Navigating to URL', { url: source.url, timeout: config.browser.timeout });
+    try {
+      await page.goto(source.url, { 
+        waitUntil: options.waitUntil || defaultWaitUntil,
+        timeout: config.browser.timeout 
+      });
+    } catch (navigateError) {
+      logger.error('Navigation failed', {
+        url: source.url,
+        error: navigateError.message,
+        timeout: config.browser.timeout
+      });
+      throw navigateError;
+    }
+  }
+
+  /**
+   * Apply request options to loaded content before waiting and capturing
+   */
+  async prepareContent(page, options = {}) {
+    if (options.googleFonts?.length || options.fonts?.length) {
+      await this.injectFonts(page, options);
+    }
+
+    if (options.initScript || options.injectJs) {
+      await this.runScripts(page, options);
+    }
+  }
+
+  /**
+   * Report init_script errors and run inject_js within the script time limit
+   */
+  async runScripts(page, options) {
+    if (options.initScript) {
+      const initError = await page.evaluate(() => window.__renderizeInitScriptError || null);
+
+      if (initError) {
+        throw createScriptError('init_script', initError);
+      }
+    }
+
+    if (!options.injectJs) {
+      return;
+    }
+
+    const timeout = options.scriptTimeout || config.browser.scriptTimeout;
+    let timer = null;
+
+    logger.debug('Running injected script', { length: options.injectJs.length, timeout });
+
+    try {
+      await Promise.race([
+        page.evaluate(`(async () => {\n${options.injectJs}\n})()`),
+        new Promise((resolve, reject) => {
+          timer = setTimeout(() => reject(createScriptError('inject_js', `timed out after ${timeout}ms`, true)), timeout);
+        })
+      ]);
+    } catch (error) {
+      if (error.script) {
+        throw error;
+      }
+      throw createScriptError('inject_js', error.message.split('\n')[0].replace(/^page\.evaluate: /, ''));
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Inject Google, local and uploaded fonts and wait until they are loaded
+   */
+  async injectFonts(page, options) {
+    const { stylesheetUrls, css, descriptors } = await resolveFonts(options);
+
+    for (const url of stylesheetUrls) {
+      try {
+        await page.addStyleTag({ url });
+      } catch (error) {
+        throw new Error(`Font not available: failed to load ${url}`);
+      }
+    }
+
+    if (css) {
+      await page.addStyleTag({ content: css });
+    }
+
+    // Fonts are only fetched once used, so request each face explicitly
+    await page.evaluate(async (fontDescriptors) => {
+      await Promise.all(fontDescriptors.map(descriptor =>
+        document.fonts.load(descriptor).catch(() => [])
+      ));
+      await document.fonts.ready;
+    }, descriptors);
+
+    logger.debug('Fonts injected', { stylesheets: stylesheetUrls.length, faces: descriptors.length });
+  }
+
+  /**
+   * Wait for the request's custom readiness conditions
+   */
+  async waitForReady(page, options = {}) {
+    const conditions = [
+      ['wait_for_selector', options.waitForSelector &&
+        (() => page.waitForSelector(options.waitForSelector, { state: 'visible' }))],
+      ['wait_for_function', options.waitForFunction &&
+        (() => page.waitForFunction(options.waitForFunction, null, { polling: 100 }))],
+      ['render_when_ready', options.renderWhenReady &&
+        (() => page.waitForFunction(() => window.__renderizeReady === true, null, { polling: 100 }))]
+    ];
+
+    for (const [name, wait] of conditions) {
+      if (!wait) continue;
+
+      logger.debug('Waiting for condition', { condition: name });
+      try {
+        await wait();
+      } catch (error) {
+        if (error.message.includes('Timeout')) {
+          throw new Error(`Wait condition ${name} not met before timeout`);
+        }
+        throw new Error(`Wait condition ${name} failed: ${error.message.split('\n')[0]}`);
+      }
+    }
+  }
+
+  /**
+   * Pause before capturing: the request's ms_delay, or the caller's default delay
+   */
+  async applyDelay(page, options = {}, defaultDelay = 0) {
+    const delay = options.msDelay ?? defaultDelay;
+
+    if (delay > 0) {
+      await page.waitForTimeout(delay);
+    }
+  }
+
+  /**
+   * Hide, remove or restyle elements right before capture
+   * Hidden elements keep their layout space; removed ones are taken out of the DOM.
+   */
+  async cleanPage(page, options = {}) {
+    const { hideSelectors = [], removeSelectors = [], injectCss = null, blockCookieBanners = false } = options;
+    const rules = [];
+
+    if (blockCookieBanners) {
+      rules.push(`${COOKIE_BANNER_SELECTORS.join(',\n')} { display: none !important; }`);
+    }
+
+    if (hideSelectors.length) {
+      rules.push(`${hideSelectors.join(',\n')} { visibility: hidden !important; }`);
+    }
+
+    if (injectCss) {
+      rules.push(injectCss);
+    }
+
+    if (rules.length) {
+      await page.addStyleTag({ content: rules.join('\n') });
+    }
+
+    if (removeSelectors.length) {
+      const removed = await page.evaluate((selectors) => {
+        let count = 0;
+
+        for (const selector of selectors) {
+          document.querySelectorAll(selector).forEach((element) => {
+            element.remove();
+            count++;
+          });
+        }
+
+        return count;
+      }, removeSelectors);
+
+      logger.debug('Removed elements before capture', { selectors: removeSelectors, removed });
+    }
+  }
+
+  /**
+   * Wait for element to become visible, falling back to network idle for late renders
+   */
+  async waitForElement(page, selector) {
+    logger.debug('Waiting for element', { selector });
+    
+    try {
+      // Try to find element quickly first (5 seconds)
+      await page.waitForSelector(selector, { 
+        state: 'visible',
+        timeout: 5000 
+      });
+    } catch (quickError) {
+      // If not found quickly, wait for network to settle and try again
+      logger.debug('Element not immediately visible, waiting for network idle');
+      await page.waitForLoadState('networkidle', { timeout: 10000 });
+      await page.waitForSelector(selector, { 
+        state: 'visible',
+        timeout: config.browser.timeout - 15000 // Reserve time for other operations
+      });
+    }
+  }
+
+  /**
+   * Capture an explicit page clip, the selected element, or the body's content box when no selector is given
+   */
+  async captureSelection(page, selector, options = {}) {
+    if (options.clip) {
+      const { x, y, width, height } = options.clip;
+      const documentSize = await this.getDocumentSize(page);
+
+      // Playwright rejects clips that start outside the page; report that as a request error
+      if (x >= documentSize.width || y >= documentSize.height) {
+        throw new Error(
+          `Invalid clip: ${width}x${height} at (${x}, ${y}) is outside the ${documentSize.width}x${documentSize.height} page`
+        );
+      }
+
+      logger.debug('Capturing page clip', options.clip);
+      return this.takeScreenshot(page, { clip: options.clip }, options);
+    }
+
+    if (selector) {
+      logger.debug('Capturing element screenshot', { selector });
+      const element = page.locator(selector).first();
+
+      if (!(await element.count())) {
+        throw new Error(`Element not found: ${selector}`);
+      }
+
+      await element.waitFor({ state: 'visible' });
+      return this.takeScreenshot(page, { locator: element }, options);
+    }
+
+    const clip = await page.evaluate(getBodyContentBox);
+
+    if (!clip.width || !clip.height) {
+      throw new Error('Element not found: body has no visible content');
+    }
+
+    logger.debug('Capturing body content box', clip);
+    return this.takeScreenshot(page, { clip }, options);
+  }
+
+  /**
+   * Capture screenshot of specific element
+   */
+  async captureElement(url, selector, options = {}) {
+    let context = null;
+    let page = null;
+
+    try {
+      logger.info('Starting screenshot capture', { url, selector });
+
+      // Create new browser context
+      context = await this.createContext(options, url);
+
+      // Create new page
+      page = await context.newPage();
+
+      // Set timeout for navigation
+      page.setDefaultTimeout(config.browser.timeout);
+      await this.preparePage(page, options);
+
+      // Navigate to URL
+      await this.loadSource(page, { url }, options);
+      await this.prepareContent(page, options);
+      await this.waitForReady(page, options);
+
+      // Wait for element with intelligent timeout strategy (explicit clips have no selector)
+      if (selector) {
+        await this.waitForElement(page, selector);
+      }
+
+      // Short wait for animations only if needed
+      await this.applyDelay(page, options, options.waitForAnimations !== false ? 300 : 0);
+      await this.cleanPage(page, options);
+
+      // Capture screenshot of specific element
+      const screenshotBuffer = await this.captureSelection(page, selector, options);
+
+      logger.info('Screenshot captured successfully', { 
+        url, 
+        selector, 
+        format: options.format || 'png',
+        size: screenshotBuffer.length 
+      });
+
+      return screenshotBuffer;
+
+    } catch (error) {
+      if (this.isBrowserCrash(context)) {
+        throw new BrowserCrashError('Browser crashed during render and is being restarted', config.pool.retryAfter);
+      }
+
+      logger.error('Screenshot capture failed', { 
+        url, 
+        selector, 
+        error: error.message 
+      });
+      
+      // Re-throw with more context
+      if (isPassthroughError(error)) {
+        throw error;
+      } else if (error.message.includes('timeout')) {
+        throw new Error(`Timeout waiting for element "${selector}" on ${url}`);
+      } else if (error.message.includes('net::ERR_')) {
+        throw new Error(`Failed to load page: ${url}`);
+      } else if (error.message.includes('Element not found')) {
+        throw new Error(`CSS selector "${selector}" not found on page`);
+      } else {
+        throw new Error(`Screenshot capture failed: ${error.message}`);
+      }
+
+    } finally {
+      // Always cleanup page and context
+      try {
+        if (page) await page.close();
+        if (context) await context.close();
+      } catch (cleanupError) {
+        logger.warn('Cleanup error:', cleanupError);
+      }
+    }
+  }
+
+  /**
+   * Capture screenshot of raw HTML/CSS content
+   * Captures the selected element, or the body's content box when no selector is given
+   */
+  async captureHtml(html, options = {}) {
+    const { css = null, selector = null } = options;
+    let context = null;
+    let page = null;
+
+    try {
+      logger.info('Starting HTML screenshot capture', {
+        htmlLength: html.length,
+        cssLength: css ? css.length : 0,
+        selector
+      });
+
+      context = await this.createContext(options);
+
+      page = await context.newPage();
+      page.setDefaultTimeout(config.browser.timeout);
+      await this.preparePage(page, options);
+
+      await this.loadSource(page, { html, css }, options);
+      await this.prepareContent(page, options);
+      await this.waitForReady(page, options);
+      await this.applyDelay(page, options, options.waitForAnimations !== false ? 300 : 0);
+      await this.cleanPage(page, options);
+
+      const screenshotBuffer = await this.captureSelection(page, selector, options);
+
+      logger.info('HTML screenshot captured successfully', {
+        selector,
+        size: screenshotBuffer.length
+      });
+
+      return screenshotBuffer;
+
+    } catch (error) {
+      if (this.isBrowserCrash(context)) {
+        throw new BrowserCrashError('Browser crashed during render and is being restarted', config.pool.retryAfter);
+      }
+
+      logger.error('HTML screenshot capture failed', {
+        selector,
+        error: error.message
+      });
+
+      if (isPassthroughError(error)) {
+        throw error;
+      } else if (error.message.includes('Element not found')) {
+        throw new Error(`CSS selector "${selector || 'body'}" not found on page`);
+      } else if (error.message.includes('Timeout')) {
+        throw new Error(`HTML content rendering timeout after ${config.browser.timeout}ms`);
+      } else {
+        throw new Error(`Screenshot capture failed: ${error.message}`);
+      }
+
+    } finally {
+      try {
+        if (page) await page.close();
+        if (context) await context.close();
+      } catch (cleanupError) {
+        logger.warn('Cleanup error:', cleanupError);
+      }
+    }
   }
 
   /**
-   * Initialize browser instance
+   * Capture several selectors from a single page load
+   * With options.all every match of each selector is captured, otherwise the first one.
+   * Returns one { selector, index, buffer } or { selector, index, error } entry per capture.
    */
-  async initialize() {
-    if (this.isInitialized) {
-      return;
-    }
+  async captureElements(source, selectors, options = {}) {
+    let context = null;
+    let page = null;
 
     try {
-      logger.info('Initializing Playwright browser...');
-      
-      this.browser = await chromium.launch({
-        headless: config.browser.headless,
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-dev-shm-usage',
-          '--disable-accelerated-2d-canvas',
-          '--disable-gpu',
-          '--window-size=1920,1080'
-        ]
+      logger.info('Starting multi-element capture', {
+        url: source.url,
+        source: source.html ? 'html' : 'url',
+        selectors,
+        all: !!options.all
       });
 
-      this.isInitialized = true;
-      logger.info('Playwright browser initialized successfully');
-      
+      context = await this.createContext(options, source.url);
+
+      page = await context.newPage();
+      page.setDefaultTimeout(config.browser.timeout);
+      await this.preparePage(page, options);
+
+      await this.loadSource(page, source, options);
+      await this.prepareContent(page, options);
+      await this.waitForReady(page, options);
+      await this.applyDelay(page, options, options.waitForAnimations !== false ? 300 : 0);
+      await this.cleanPage(page, options);
+
+      const results = [];
+
+      for (const selector of selectors) {
+        try {
+          await this.waitForElement(page, selector);
+
+          if (!options.all) {
+            results.push({ selector, buffer: await this.captureSelection(page, selector, options) });
+            continue;
+          }
+
+          const locator = page.locator(selector);
+          const count = Math.min(await locator.count(), MAX_MATCHES_PER_SELECTOR);
+
+          for (let index = 0; index < count; index++) {
+            const element = locator.nth(index);
+
+            if (!(await element.isVisible())) {
+              results.push({ selector, index, error: 'Element is not visible' });
+              continue;
+            }
+
+            results.push({
+              selector,
+              index,
+              buffer: await this.takeScreenshot(page, { locator: element }, options)
+            });
+          }
+
+        } catch (error) {
+          if (this.isBrowserCrash(context)) {
+            throw error;
+          }
+
+          logger.warn('Element capture failed', { url: source.url, selector, error: error.message });
+          results.push({
+            selector,
+            error: error.message.includes('Element not found') || error.message.includes('Timeout')
+              ? `CSS selector "${selector}" not found on page`
+              : error.message.split('\n')[0]
+          });
+        }
+      }
+
+      logger.info('Multi-element capture completed', {
+        url: source.url,
+        captured: results.filter(result => result.buffer).length,
+        failed: results.filter(result => result.error).length
+      });
+
+      return results;
+
     } catch (error) {
-      logger.error('Failed to initialize browser:', error);
-      throw new Error(`Browser initialization failed: ${error.message}`);
+      if (this.isBrowserCrash(context)) {
+        throw new BrowserCrashError('Browser crashed during render and is being restarted', config.pool.retryAfter);
+      }
+
+      logger.error('Multi-element capture failed', { url: source.url, selectors, error: error.message });
+
+      if (isPassthroughError(error)) {
+        throw error;
+      } else if (error.message.includes('net::ERR_')) {
+        throw new Error(`Failed to load page: ${source.url}`);
+      } else if (error.message.includes('Timeout')) {
+        throw new Error(`Page load timeout after ${config.browser.timeout}ms`);
+      } else {
+        throw new Error(`Screenshot capture failed: ${error.message}`);
+      }
+
+    } finally {
+      try {
+        if (page) await page.close();
+        if (context) await context.close();
+      } catch (cleanupError) {
+        logger.warn('Cleanup error:', cleanupError);
+      }
     }
   }
 
   /**
-   * Capture screenshot of specific element
+   * Capture the same selection at several viewport widths
+   * Loads the source once and resizes a single page between captures.
+   * Returns one { width, buffer } or { width, error } entry per breakpoint.
    */
-  async captureElement(url, selector, options = {}) {
-    if (!this.isInitialized) {
-      await this.initialize();
-    }
-
+  async captureBreakpoints(source, selector, widths, options = {}) {
+    const height = (options.viewport || config.browser.viewport).height;
     let context = null;
     let page = null;
 
     try {
-      logger.info('Starting screenshot capture', { url, selector });
-
-      // Create new browser context
-      context = await this.browser.newContext({
-        viewport: {
-          width: config.browser.viewport.width,
-          height: config.browser.viewport.height
-        },
-        userAgent: config.browser.userAgent || 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
+      logger.info('Starting breakpoint capture', {
+        url: source.url,
+        source: source.html ? 'html' : 'url',
+        selector,
+        widths
       });
 
-      // Create new page
-      page = await context.newPage();
+      context = await this.createContext({
+        ...options,
+        viewport: { width: widths[0], height }
+      }, source.url);
 
-      // Set timeout for navigation
+      page = await context.newPage();
       page.setDefaultTimeout(config.browser.timeout);
+      await this.preparePage(page, options);
 
-      // Navigate to URL
-      logger.debug('Navigating to URL', { url, timeout: config.browser.timeout });
-      try {
-        await page.goto(url, { 
-          waitUntil: 'domcontentloaded',
-          timeout: config.browser.timeout 
-        });
-      } catch (navigateError) {
-        logger.error('Navigation failed', {
-          url,
-          error: navigateError.message,
-          timeout: config.browser.timeout
-        });
-        throw navigateError;
-      }
+      await this.loadSource(page, source, options);
+      await this.prepareContent(page, options);
+      await this.waitForReady(page, options);
+      await this.cleanPage(page, options);
 
-      // Wait for element with intelligent timeout strategy
-      logger.debug('Waiting for element', { selector });
-      
-      try {
-        // Try to find element quickly first (5 seconds)
-        await page.waitForSelector(selector, { 
-          state: 'visible',
-          timeout: 5000 
-        });
-      } catch (quickError) {
-        // If not found quickly, wait for network to settle and try again
-        logger.debug('Element not immediately visible, waiting for network idle');
-        await page.waitForLoadState('networkidle', { timeout: 10000 });
-        await page.waitForSelector(selector, { 
-          state: 'visible',
-          timeout: config.browser.timeout - 15000 // Reserve time for other operations
-        });
-      }
+      const results = [];
 
-      // Short wait for animations only if needed
-      if (options.waitForAnimations !== false) {
-        await page.waitForTimeout(300);
-      }
+      for (const width of widths) {
+        try {
+          await page.setViewportSize({ width, height });
 
-      // Capture screenshot of specific element
-      logger.debug('Capturing element screenshot', { selector });
-      const element = await page.locator(selector);
-      
-      if (!(await element.count())) {
-        throw new Error(`Element not found: ${selector}`);
-      }
+          if (selector) {
+            await this.waitForElement(page, selector);
+          }
 
-      const screenshotBuffer = await element.screenshot({
-        type: 'png'
-        // Note: PNG doesn't support quality setting in Playwright
-      });
+          // Give responsive layouts and resize handlers time to settle
+          await this.applyDelay(page, options, options.waitForAnimations !== false ? 300 : 0);
 
-      logger.info('Screenshot captured successfully', { 
-        url, 
-        selector, 
-        size: screenshotBuffer.length 
+          const buffer = await this.captureSelection(page, selector, options);
+          results.push({ width, buffer });
+
+        } catch (error) {
+          if (this.isBrowserCrash(context)) {
+            throw error;
+          }
+
+          logger.warn('Breakpoint capture failed', { url: source.url, selector, width, error: error.message });
+          results.push({
+            width,
+            error: error.message.includes('Element not found') || error.message.includes('Timeout')
+              ? `CSS selector "${selector || 'body'}" not visible at ${width}px`
+              : error.message
+          });
+        }
+      }
+
+      logger.info('Breakpoint capture completed', {
+        url: source.url,
+        selector,
+        captured: results.filter(result => result.buffer).length,
+        failed: results.filter(result => result.error).length
       });
 
-      return screenshotBuffer;
+      return results;
 
     } catch (error) {
-      logger.error('Screenshot capture failed', { 
-        url, 
-        selector, 
-        error: error.message 
-      });
-      
-      // Re-throw with more context
-      if (error.message.includes('timeout')) {
-        throw new Error(`Timeout waiting for element "${selector}" on ${url}`);
+      if (this.isBrowserCrash(context)) {
+        throw new BrowserCrashError('Browser crashed during render and is being restarted', config.pool.retryAfter);
+      }
+
+      logger.error('Breakpoint capture failed', { url: source.url, selector, error: error.message });
+
+      if (isPassthroughError(error)) {
+        throw error;
       } else if (error.message.includes('net::ERR_')) {
-        throw new Error(`Failed to load page: ${url}`);
-      } else if (error.message.includes('Element not found')) {
-        throw new Error(`CSS selector "${selector}" not found on page`);
+        throw new Error(`Failed to load page: ${source.url}`);
+      } else if (error.message.includes('Timeout')) {
+        throw new Error(`Page load timeout after ${config.browser.timeout}ms`);
       } else {
-        throw new Error(`Screenshot capture failed: ${error.message}`);
+        throw new Error(`Breakpoint capture failed: ${error.message}`);
       }
 
     } finally {
-      // Always cleanup page and context
       try {
         if (page) await page.close();
         if (context) await context.close();
@@ -166,47 +951,44 @@ class ScreenshotService {
    * Capture full page screenshot
    */
   async captureFullPage(url, options = {}) {
-    if (!this.isInitialized) {
-      await this.initialize();
-    }
-
     let context = null;
     let page = null;
 
     try {
       logger.info('Starting full page screenshot', { url });
 
-      context = await this.browser.newContext({
-        viewport: {
-          width: config.browser.viewport.width,
-          height: config.browser.viewport.height
-        },
-        userAgent: config.browser.userAgent
-      });
+      context = await this.createContext(options, url);
 
       page = await context.newPage();
       page.setDefaultTimeout(config.browser.timeout);
+      await this.preparePage(page, options);
 
-      await page.goto(url, { 
-        waitUntil: 'networkidle',
-        timeout: config.browser.timeout 
-      });
+      await this.loadSource(page, { url }, options, 'networkidle');
+      await this.prepareContent(page, options);
+      await this.waitForReady(page, options);
+      await this.applyDelay(page, options);
+      await this.cleanPage(page, options);
 
-      const screenshotBuffer = await page.screenshot({
-        type: 'png',
-        fullPage: true
-        // Note: PNG doesn't support quality setting in Playwright
-      });
+      const screenshotBuffer = await this.takeScreenshot(page, { fullPage: true }, options);
 
       logger.info('Full page screenshot captured', { 
         url, 
+        format: options.format || 'png',
         size: screenshotBuffer.length 
       });
 
       return screenshotBuffer;
 
     } catch (error) {
+      if (this.isBrowserCrash(context)) {
+        throw new BrowserCrashError('Browser crashed during render and is being restarted', config.pool.retryAfter);
+      }
+
       logger.error('Full page screenshot failed', { url, error: error.message });
+
+      if (isPassthroughError(error)) {
+        throw error;
+      }
       throw new Error(`Full page screenshot failed: ${error.message}`);
 
     } finally {
@@ -220,20 +1002,233 @@ class ScreenshotService {
   }
 
   /**
-   * Check if URL is accessible
+   * Render a page to PDF
+   * Source is either { url } or { html, css }
    */
-  async checkUrl(url) {
-    if (!this.isInitialized) {
-      await this.initialize();
+  async capturePdf(source, options = {}) {
+    let context = null;
+    let page = null;
+
+    try {
+      logger.info('Starting PDF rendering', {
+        url: source.url,
+        source: source.html ? 'html' : 'url',
+        pageSize: options.pageSize
+      });
+
+      // page.pdf() is only implemented by Chromium
+      context = await this.createContext({ ...options, engine: 'chromium' }, source.url);
+
+      page = await context.newPage();
+      page.setDefaultTimeout(config.browser.timeout);
+
+      await this.preparePage(page, options);
+
+      await this.loadSource(page, source, options, 'networkidle');
+      await this.prepareContent(page, options);
+      await this.waitForReady(page, options);
+      await this.applyDelay(page, options);
+
+      const pdfOptions = {
+        landscape: !!options.landscape,
+        printBackground: options.printBackground !== false
+      };
+
+      if (options.width && options.height) {
+        pdfOptions.width = options.width;
+        pdfOptions.height = options.height;
+      } else {
+        pdfOptions.format = options.pageSize || config.pdf.pageSize;
+      }
+
+      if (options.margin) {
+        pdfOptions.margin = options.margin;
+      }
+
+      if (options.pageRanges) {
+        pdfOptions.pageRanges = options.pageRanges;
+      }
+
+      // Chromium prints its default date/title header when only one template is set
+      if (options.headerTemplate || options.footerTemplate) {
+        pdfOptions.displayHeaderFooter = true;
+        pdfOptions.headerTemplate = options.headerTemplate || '<span></span>';
+        pdfOptions.footerTemplate = options.footerTemplate || '<span></span>';
+      }
+
+      const pdfBuffer = await page.pdf(pdfOptions);
+
+      logger.info('PDF rendered successfully', {
+        url: source.url,
+        size: pdfBuffer.length
+      });
+
+      return pdfBuffer;
+
+    } catch (error) {
+      if (this.isBrowserCrash(context)) {
+        throw new BrowserCrashError('Browser crashed during render and is being restarted', config.pool.retryAfter);
+      }
+
+      logger.error('PDF rendering failed', { url: source.url, error: error.message });
+
+      if (isPassthroughError(error)) {
+        throw error;
+      } else if (error.message.includes('net::ERR_')) {
+        throw new Error(`Failed to load page: ${source.url}`);
+      } else if (error.message.includes('Timeout')) {
+        throw new Error(`PDF rendering timeout after ${config.browser.timeout}ms`);
+      } else if (error.message.includes('range')) {
+        throw new Error(`Invalid page range: ${options.pageRanges}`);
+      } else {
+        throw new Error(`PDF rendering failed: ${error.message}`);
+      }
+
+    } finally {
+      try {
+        if (page) await page.close();
+        if (context) await context.close();
+      } catch (cleanupError) {
+        logger.warn('Cleanup error:', cleanupError);
+      }
+    }
+  }
+
+  /**
+   * Take a screenshot in the requested format and quality
+   * Target is one of { locator }, { clip } or { fullPage: true }
+   */
+  async takeScreenshot(page, target, options = {}) {
+    const { format = 'png', quality = null, omitBackground = false, padding = null } = options;
+
+    // Padding turns element and content-box captures into a page clip around them
+    if (padding && !target.fullPage) {
+      target = { clip: await this.getPaddedClip(page, target, padding) };
+    }
+
+    if (format === 'webp') {
+      return this.captureWebp(page, target, quality, omitBackground);
+    }
+
+    const screenshotOptions = { type: format, omitBackground };
+
+    // PNG doesn't support quality setting in Playwright
+    if (format === 'jpeg' && quality) {
+      screenshotOptions.quality = quality;
+    }
+
+    if (target.locator) {
+      return target.locator.screenshot(screenshotOptions);
+    }
+
+    return page.screenshot({
+      ...screenshotOptions,
+      fullPage: true,
+      ...(target.clip && { clip: target.clip })
+    });
+  }
+
+  /**
+   * Expand an element or clip by { top, right, bottom, left } padding in page coordinates
+   * The result is clamped to the document so padding never captures outside the page.
+   */
+  async getPaddedClip(page, target, padding) {
+    let box = target.clip;
+
+    if (target.locator) {
+      await target.locator.scrollIntoViewIfNeeded();
+      const elementBox = await target.locator.boundingBox();
+
+      if (!elementBox) {
+        throw new Error('Element not found: element has no bounding box');
+      }
+
+      const scroll = await page.evaluate(() => ({ x: window.scrollX, y: window.scrollY }));
+      box = { ...elementBox, x: elementBox.x + scroll.x, y: elementBox.y + scroll.y };
+    }
+
+    const documentSize = await this.getDocumentSize(page);
+
+    const x = Math.max(0, box.x - padding.left);
+    const y = Math.max(0, box.y - padding.top);
+    const right = Math.min(documentSize.width, box.x + box.width + padding.right);
+    const bottom = Math.min(documentSize.height, box.y + box.height + padding.bottom);
+
+    return { x, y, width: right - x, height: bottom - y };
+  }
+
+  /**
+   * Scrollable size of the rendered document in CSS pixels
+   */
+  async getDocumentSize(page) {
+    return page.evaluate(() => ({
+      width: document.documentElement.scrollWidth,
+      height: document.documentElement.scrollHeight
+    }));
+  }
+
+  /**
+   * Capture WebP through the DevTools protocol (Playwright only emits PNG/JPEG)
+   */
+  async captureWebp(page, target, quality, omitBackground = false) {
+    let clip = target.clip;
+
+    if (target.locator) {
+      await target.locator.scrollIntoViewIfNeeded();
+      const box = await target.locator.boundingBox();
+
+      if (!box) {
+        throw new Error('Element not found: element has no bounding box');
+      }
+
+      const scroll = await page.evaluate(() => ({ x: window.scrollX, y: window.scrollY }));
+      clip = { x: box.x + scroll.x, y: box.y + scroll.y, width: box.width, height: box.height };
+    } else if (!clip) {
+      clip = await page.evaluate(() => ({
+        x: 0,
+        y: 0,
+        width: document.documentElement.scrollWidth,
+        height: document.documentElement.scrollHeight
+      }));
+    }
+
+    const session = await page.context().newCDPSession(page);
+
+    try {
+      // Same effect as Playwright's omitBackground: drop the default white page background
+      if (omitBackground) {
+        await session.send('Emulation.setDefaultBackgroundColorOverride', {
+          color: { r: 0, g: 0, b: 0, a: 0 }
+        });
+      }
+
+      const { data } = await session.send('Page.captureScreenshot', {
+        format: 'webp',
+        ...(quality && { quality }),
+        clip: { ...clip, scale: 1 },
+        captureBeyondViewport: true
+      });
+
+      return Buffer.from(data, 'base64');
+    } finally {
+      if (omitBackground) {
+        await session.send('Emulation.setDefaultBackgroundColorOverride').catch(() => {});
+      }
+      await session.detach().catch(() => {});
     }
+  }
 
+  /**
+   * Check if URL is accessible
+   */
+  async checkUrl(url) {
     let context = null;
     let page = null;
 
     try {
       logger.debug('Checking URL accessibility', { url, normalizedUrl: url });
       
-      context = await this.browser.newContext();
+      context = await this.newPooledContext();
       page = await context.newPage();
       page.setDefaultTimeout(config.browser.timeout);
       
@@ -250,6 +1245,14 @@ class ScreenshotService {
       };
 
     } catch (error) {
+      if (this.isBrowserCrash(context)) {
+        throw new BrowserCrashError('Browser crashed during render and is being restarted', config.pool.retryAfter);
+      }
+
+      if (error instanceof ServiceUnavailableError) {
+        throw error;
+      }
+
       logger.warn('URL accessibility check failed', {
         url,
         error: error.message,
@@ -276,15 +1279,11 @@ class ScreenshotService {
    * Get page information
    */
   async getPageInfo(url) {
-    if (!this.isInitialized) {
-      await this.initialize();
-    }
-
     let context = null;
     let page = null;
 
     try {
-      context = await this.browser.newContext();
+      context = await this.newPooledContext();
       page = await context.newPage();
       
       await page.goto(url, { 
@@ -305,6 +1304,13 @@ class ScreenshotService {
       return pageInfo;
 
     } catch (error) {
+      if (this.isBrowserCrash(context)) {
+        throw new BrowserCrashError('Browser crashed during render and is being restarted', config.pool.retryAfter);
+      }
+
+      if (error instanceof ServiceUnavailableError) {
+        throw error;
+      }
       throw new Error(`Failed to get page info: ${error.message}`);
 
     } finally {
@@ -321,30 +1327,127 @@ class ScreenshotService {
    * Close browser instance
    */
   async close() {
-    if (this.browser) {
-      try {
-        await this.browser.close();
-        this.browser = null;
-        this.isInitialized = false;
-        logger.info('Browser closed successfully');
-      } catch (error) {
-        logger.error('Error closing browser:', error);
+    this.closing = true;
+
+    try {
+      for (const [engine, state] of this.engines) {
+        if (!state.browser) continue;
+
+        try {
+          await state.browser.close();
+          state.browser = null;
+          logger.info('Browser closed successfully', { engine });
+        } catch (error) {
+          logger.error('Error closing browser:', { engine, error: error.message });
+        }
       }
+    } finally {
+      this.closing = false;
     }
   }
 
   /**
    * Get browser status
+   * Top-level fields describe the default engine, counters are totals over all engines.
    */
   getStatus() {
+    const engines = {};
+
+    for (const engine of config.browser.engines) {
+      const state = this.getEngine(engine);
+
+      engines[engine] = {
+        launched: Boolean(state.browser),
+        connected: Boolean(state.browser && state.browser.isConnected()),
+        version: state.browser ? state.browser.version() : null,
+        restarts: state.restarts,
+        crashes: state.crashes,
+        lastCrashAt: state.lastCrashAt
+      };
+    }
+
+    const states = [...this.engines.values()];
+    const defaultEngine = engines[config.browser.defaultEngine];
+
     return {
-      initialized: this.isInitialized,
-      connected: this.browser && this.browser.isConnected(),
-      version: this.browser ? this.browser.version() : null
+      initialized: defaultEngine.launched,
+      connected: defaultEngine.connected,
+      version: defaultEngine.version,
+      defaultEngine: config.browser.defaultEngine,
+      restarts: states.reduce((total, state) => total + state.restarts, 0),
+      crashes: states.reduce((total, state) => total + state.crashes, 0),
+      lastCrashAt: states.map(state => state.lastCrashAt).filter(Boolean).sort().pop() || null,
+      engines,
+      pool: renderPool.getStats()
     };
   }
 }
 
+/**
+ * Define window.renderizeReady() for "render when ready" captures (evaluated in the browser)
+ */
+function installReadySignal() {
+  window.__renderizeReady = window.__renderizeReady || false;
+  window.renderizeReady = () => {
+    window.__renderizeReady = true;
+  };
+}
+
+/**
+ * Errors that already carry a client-facing message and are rethrown unchanged
+ */
+function isPassthroughError(error) {
+  return Boolean(error.script) ||
+    error instanceof ServiceUnavailableError ||
+    error.message.includes('Wait condition') ||
+    error.message.includes('Font not available') ||
+    error.message.startsWith('Invalid cookies') ||
+    error.message.startsWith('Invalid clip');
+}
+
+/**
+ * Wrap init_script so its errors are recorded instead of breaking the page's own scripts
+ * Completion is flagged for watchInitScript().
+ */
+function wrapInitScript(script) {
+  return `(() => {
+  try {
+${script}
+  } catch (error) {
+    window.__renderizeInitScriptError = String((error && error.message) || error);
+  } finally {
+    window.__renderizeInitScriptDone = true;
+  }
+})();`;
+}
+
+/**
+ * Create an error for a failed custom script, carrying a structured `script` field for responses
+ */
+function createScriptError(source, message, timedOut = false) {
+  const error = new Error(`Script ${source} ${timedOut ? message : `failed: ${message}`}`);
+  error.script = { source, message, timedOut };
+  return error;
+}
+
+/**
+ * Compute the body's content box in page coordinates (evaluated in the browser)
+ */
+function getBodyContentBox() {
+  const body = document.body;
+  const rect = body.getBoundingClientRect();
+  const style = window.getComputedStyle(body);
+  const edge = (side) =>
+    parseFloat(style[`padding${side}`]) + parseFloat(style[`border${side}Width`]);
+
+  return {
+    x: rect.left + window.scrollX + edge('Left'),
+    y: rect.top + window.scrollY + edge('Top'),
+    width: Math.max(0, rect.width - edge('Left') - edge('Right')),
+    height: Math.max(0, rect.height - edge('Top') - edge('Bottom'))
+  };
+}
+
 // Create singleton instance
 const screenshotService = new ScreenshotService();
 
@@ -0,0 +1,254 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { listVariables } = require('../utils/templates');
+
+const TEMPLATE_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * Summary of a template without its content
+ */
+function toSummary({ id, name, description, version, createdAt, updatedAt }) {
+  return { id, name, description, version, createdAt, updatedAt };
+}
+
+/**
+ * Disk-backed store for versioned HTML/CSS templates
+ * Each template is a directory with a small index (template.json) and one file per version (v<N>.json);
+ * updates add a version instead of overwriting and only the newest `maxVersions` versions are kept.
+ */
+class TemplateStore {
+  constructor(dir = config.templates.dir, maxVersions = config.templates.maxVersions) {
+    this.dir = dir;
+    this.maxVersions = maxVersions;
+    // Pending update/delete per template id, so concurrent writes apply one after another
+    this.queues = new Map();
+  }
+
+  /**
+   * Check that an id has the shape of a template id (and is safe to use as a filename)
+   */
+  isValidId(id) {
+    return typeof id === 'string' && TEMPLATE_ID_PATTERN.test(id);
+  }
+
+  getPath(id) {
+    return path.join(this.dir, id);
+  }
+
+  getIndexPath(id) {
+    return path.join(this.getPath(id), 'template.json');
+  }
+
+  getVersionPath(id, version) {
+    return path.join(this.getPath(id), `v${version}.json`);
+  }
+
+  /**
+   * Create a template at version 1
+   */
+  async create({ name, description, html, css }) {
+    const now = new Date().toISOString();
+    const template = {
+      id: crypto.randomUUID(),
+      name,
+      description,
+      version: 1,
+      versions: [{ version: 1, createdAt: now }],
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await fs.mkdir(this.getPath(template.id), { recursive: true });
+    await this.write(this.getVersionPath(template.id, 1), { version: 1, html, css, createdAt: now });
+    await this.write(this.getIndexPath(template.id), template);
+
+    logger.info('Template created', { id: template.id, name });
+    return template;
+  }
+
+  /**
+   * Load a template index (summary and version list), or null when it does not exist
+   */
+  async load(id) {
+    if (!this.isValidId(id)) {
+      return null;
+    }
+
+    return this.read(this.getIndexPath(id));
+  }
+
+  /**
+   * Get one version of a template (the latest by default) with its content and the version list
+   * Returns null when the template or the version does not exist.
+   */
+  async get(id, version = null) {
+    const template = await this.load(id);
+    const selected = template?.versions.find(entry => entry.version === (version || template.version));
+
+    if (!selected) {
+      return null;
+    }
+
+    const content = await this.read(this.getVersionPath(id, selected.version));
+
+    if (!content) {
+      return null;
+    }
+
+    return {
+      ...toSummary(template),
+      version: selected.version,
+      latestVersion: template.version,
+      html: content.html,
+      css: content.css,
+      variables: listVariables(content.html),
+      versions: template.versions
+    };
+  }
+
+  /**
+   * List template summaries, most recently updated first
+   * Only the index files are read, never the version contents.
+   */
+  async list() {
+    let entries;
+
+    try {
+      entries = await fs.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const templates = [];
+
+    for (const id of entries.filter(entry => this.isValidId(entry))) {
+      try {
+        const template = await this.load(id);
+        if (template) {
+          templates.push(toSummary(template));
+        }
+      } catch (error) {
+        logger.warn('Failed to read template', { id, error: error.message });
+      }
+    }
+
+    return templates.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  /**
+   * Store a new version; fields left undefined keep their value from the latest version
+   * Versions beyond `maxVersions` are removed, oldest first. Returns null when the template does not exist.
+   */
+  async update(id, { name, description, html, css }) {
+    return this.enqueue(id, async () => {
+      const template = await this.load(id);
+      if (!template) {
+        return null;
+      }
+
+      const latest = await this.read(this.getVersionPath(id, template.version));
+      const now = new Date().toISOString();
+      const version = template.version + 1;
+      const versions = [...template.versions, { version, createdAt: now }];
+      const removed = versions.splice(0, Math.max(0, versions.length - this.maxVersions));
+
+      const updated = {
+        ...template,
+        name: name ?? template.name,
+        description: description !== undefined ? description : template.description,
+        version,
+        versions,
+        updatedAt: now
+      };
+
+      await this.write(this.getVersionPath(id, version), {
+        version,
+        html: html ?? latest.html,
+        css: css !== undefined ? css : latest.css,
+        createdAt: now
+      });
+      await this.write(this.getIndexPath(id), updated);
+
+      for (const entry of removed) {
+        await fs.rm(this.getVersionPath(id, entry.version), { force: true });
+      }
+
+      logger.info('Template updated', { id, version, removedVersions: removed.length });
+      return updated;
+    });
+  }
+
+  /**
+   * Delete a template and all its versions; false when it does not exist
+   */
+  async delete(id) {
+    if (!this.isValidId(id)) {
+      return false;
+    }
+
+    return this.enqueue(id, async () => {
+      if (!await this.load(id)) {
+        return false;
+      }
+
+      await fs.rm(this.getPath(id), { recursive: true, force: true });
+
+      logger.info('Template deleted', { id });
+      return true;
+    });
+  }
+
+  /**
+   * Run task once the writes queued before it for the same template have settled
+   */
+  async enqueue(id, task) {
+    const previous = this.queues.get(id) || Promise.resolve();
+    const current = previous.catch(() => {}).then(task);
+
+    this.queues.set(id, current);
+
+    try {
+      return await current;
+    } finally {
+      if (this.queues.get(id) === current) {
+        this.queues.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Read a JSON file, or null when it does not exist
+   */
+  async read(filepath) {
+    try {
+      return JSON.parse(await fs.readFile(filepath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async write(filepath, data) {
+    const tempPath = `${filepath}.${crypto.randomUUID()}.tmp`;
+
+    await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+    await fs.rename(tempPath, filepath);
+  }
+}
+
+// Create singleton instance
+const templateStore = new TemplateStore();
+
+module.exports = {
+  TemplateStore,
+  templateStore,
+  toSummary
+};
@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+/**
+ * Sign a webhook body: hex HMAC-SHA256 of `${timestamp}.${body}`
+ */
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Build the webhook payload for a finished image render
+ * `body` is the render response on success; `error` the described failure ({ status, message, code }).
+ */
+function buildRenderPayload({ renderId, requestId, body = null, error = null, duration }) {
+  const succeeded = !error;
+
+  return {
+    event: succeeded ? 'render.succeeded' : 'render.failed',
+    renderId,
+    requestId,
+    status: succeeded ? 'succeeded' : 'failed',
+    url: body?.url || null,
+    size: body?.size ?? null,
+    format: body?.format || null,
+    ...(body?.images && { images: body.images }),
+    duration: body?.duration || duration,
+    error: error ? { status: error.status, message: error.message, code: error.code || null } : null,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Delivers signed webhook callbacks with exponential backoff retries
+ * Delivery history (including every attempt) is kept in memory for the most recent deliveries.
+ */
+class WebhookDispatcher {
+  constructor(options = config.webhooks) {
+    this.options = options;
+    this.deliveries = new Map();
+  }
+
+  /**
+   * Queue a delivery of `payload` to `url` and start the first attempt
+   * Returns the delivery record right away; attempts continue in the background.
+   */
+  dispatch(url, payload) {
+    if (!this.options.secret) {
+      throw new Error('Webhook delivery requires WEBHOOK_SECRET');
+    }
+
+    const delivery = {
+      id: crypto.randomUUID(),
+      url,
+      event: payload.event,
+      renderId: payload.renderId,
+      status: 'pending',
+      payload,
+      attempts: [],
+      createdAt: new Date().toISOString(),
+      nextAttemptAt: null,
+      completedAt: null
+    };
+
+    this.deliveries.set(delivery.id, delivery);
+
+    // Forget the oldest deliveries beyond the history limit
+    for (const id of this.deliveries.keys()) {
+      if (this.deliveries.size <= this.options.historySize) break;
+      this.deliveries.delete(id);
+    }
+
+    this.attempt(delivery);
+    return delivery;
+  }
+
+  /**
+   * POST the payload once and schedule a retry on failure
+   */
+  async attempt(delivery) {
+    const number = delivery.attempts.length + 1;
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const { secret } = this.options;
+    const startTime = Date.now();
+    let statusCode = null;
+    let error = null;
+
+    delivery.nextAttemptAt = null;
+
+    try {
+      const response = await fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Renderize-Event': delivery.event,
+          'X-Renderize-Delivery': delivery.id,
+          'X-Renderize-Timestamp': String(timestamp),
+          'X-Renderize-Signature': `sha256=${signPayload(secret, timestamp, body)}`
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(this.options.timeout)
+      });
+
+      statusCode = response.status;
+      await response.body?.cancel();
+
+      if (!response.ok) {
+        error = `Endpoint responded with HTTP ${statusCode}`;
+      }
+    } catch (requestError) {
+      error = requestError.name === 'TimeoutError'
+        ? `Timed out after ${this.options.timeout}ms`
+        : requestError.cause?.message || requestError.message;
+    }
+
+    delivery.attempts.push({
+      attempt: number,
+      at: new Date(startTime).toISOString(),
+      statusCode,
+      error,
+      duration: `${Date.now() - startTime}ms`
+    });
+
+    if (!error) {
+      delivery.status = 'delivered';
+      delivery.completedAt = new Date().toISOString();
+      logger.info('Webhook delivered', { deliveryId: delivery.id, renderId: delivery.renderId, attempts: number });
+      return;
+    }
+
+    if (number >= this.options.maxAttempts) {
+      delivery.status = 'failed';
+      delivery.completedAt = new Date().toISOString();
+      logger.warn('Webhook delivery failed', { deliveryId: delivery.id, renderId: delivery.renderId, attempts: number, error });
+      return;
+    }
+
+    const delay = Math.min(this.options.backoffMs * 2 ** (number - 1), this.options.maxBackoffMs);
+    delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+
+    logger.debug('Webhook delivery retry scheduled', { deliveryId: delivery.id, attempt: number, error, delay: `${delay}ms` });
+
+    // Pending retries must not keep the process alive on shutdown
+    setTimeout(() => this.attempt(delivery), delay).unref();
+  }
+
+  /**
+   * Get a delivery by id, or null when unknown (or already forgotten)
+   */
+  get(id) {
+    return this.deliveries.get(id) || null;
+  }
+
+  /**
+   * List deliveries, newest first, optionally for a single render
+   */
+  list({ renderId = null } = {}) {
+    return [...this.deliveries.values()]
+      .filter(delivery => !renderId || delivery.renderId === renderId)
+      .reverse();
+  }
+}
+
+// Create singleton instance
+const webhookDispatcher = new WebhookDispatcher();
+
+module.exports = {
+  WebhookDispatcher,
+  webhookDispatcher,
+  buildRenderPayload,
+  signPayload
+};
@@ -0,0 +1,55 @@
+/**
+ * Selectors of common cookie consent banners, used by the block_cookie_banners option
+ * Covers the major consent platforms plus a few generic class/id names.
+ */
+const COOKIE_BANNER_SELECTORS = [
+  // OneTrust
+  '#onetrust-consent-sdk',
+  '#onetrust-banner-sdk',
+  // Cookiebot
+  '#CybotCookiebotDialog',
+  '#CybotCookiebotDialogBodyUnderlay',
+  // Usercentrics
+  '#usercentrics-root',
+  '#usercentrics-cmp-ui',
+  // TrustArc
+  '#truste-consent-track',
+  '.truste_overlay',
+  '.truste_box_overlay',
+  // Quantcast
+  '#qc-cmp2-container',
+  // Didomi
+  '#didomi-host',
+  // consentmanager
+  '#cmpbox',
+  '#cmpbox2',
+  // Sourcepoint
+  '[id^="sp_message_container"]',
+  // Funding Choices (Google)
+  '.fc-consent-root',
+  // Osano
+  '.osano-cm-window',
+  // CookieYes
+  '.cky-consent-container',
+  // Cookie Script
+  '#cookiescript_injected',
+  // HubSpot
+  '#hs-eu-cookie-confirmation',
+  // Cookie Consent (Osano open source)
+  '.cc-window',
+  '.cc-banner',
+  // WordPress plugins
+  '#cookie-law-info-bar',
+  '#cookie-notice',
+  '#moove_gdpr_cookie_info_bar',
+  '#gdpr-cookie-message',
+  // Generic names
+  '#cookie-banner',
+  '.cookie-banner',
+  '#cookie-consent',
+  '.cookie-consent'
+];
+
+module.exports = {
+  COOKIE_BANNER_SELECTORS
+};
@@ -0,0 +1,42 @@
+const { devices } = require('playwright');
+
+/**
+ * Device emulation presets backed by Playwright's built-in device descriptors
+ */
+
+/**
+ * Find a device descriptor by name (case-insensitive)
+ * Falls back to the first portrait device starting with the name, so "iPad Pro" resolves to "iPad Pro 11".
+ */
+function resolveDevice(name) {
+  if (typeof name !== 'string' || !name.trim()) {
+    return null;
+  }
+
+  const wanted = name.trim().toLowerCase();
+  const names = Object.keys(devices);
+  const match = names.find(device => device.toLowerCase() === wanted) ||
+    names.find(device => device.toLowerCase().startsWith(`${wanted} `) && !device.endsWith(' landscape'));
+
+  return match ? { name: match, ...devices[match] } : null;
+}
+
+/**
+ * List supported device presets
+ */
+function listDevices() {
+  return Object.entries(devices).map(([name, descriptor]) => ({
+    name,
+    viewport: descriptor.viewport,
+    deviceScaleFactor: descriptor.deviceScaleFactor,
+    isMobile: descriptor.isMobile,
+    hasTouch: descriptor.hasTouch,
+    userAgent: descriptor.userAgent,
+    defaultBrowserType: descriptor.defaultBrowserType
+  }));
+}
+
+module.exports = {
+  resolveDevice,
+  listDevices
+};
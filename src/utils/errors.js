@@ -0,0 +1,81 @@
+/**
+ * Errors for renders the service cannot take right now
+ * Routes answer them with 503, a Retry-After header and the error code.
+ */
+class ServiceUnavailableError extends Error {
+  constructor(message, code, retryAfter) {
+    super(message);
+    this.name = 'ServiceUnavailableError';
+    this.code = code;
+    this.retryAfter = retryAfter;
+    this.status = 503;
+  }
+}
+
+/**
+ * No free render slot: the queue is full (QUEUE_FULL) or the wait timed out (QUEUE_TIMEOUT)
+ */
+class QueueError extends ServiceUnavailableError {
+  constructor(message, code, retryAfter) {
+    super(message, code, retryAfter);
+    this.name = 'QueueError';
+  }
+}
+
+/**
+ * The browser went away while the render was in flight
+ */
+class BrowserCrashError extends ServiceUnavailableError {
+  constructor(message, retryAfter) {
+    super(message, 'BROWSER_CRASHED', retryAfter);
+    this.name = 'BrowserCrashError';
+  }
+}
+
+/**
+ * Map a render error to its HTTP status and client-facing fields
+ * Returns { status, message, code, script, retryAfter } with unset fields left undefined; errors that
+ * are not the client's fault keep `fallbackMessage` so internals never reach the response.
+ */
+function describeRenderError(error, fallbackMessage = 'Internal server error') {
+  if (error instanceof ServiceUnavailableError) {
+    return { status: 503, message: error.message, code: error.code, retryAfter: error.retryAfter };
+  }
+
+  if (error.script) {
+    return { status: error.script.timedOut ? 408 : 400, message: error.message, script: error.script };
+  }
+
+  if (error.message.includes('Wait condition')) {
+    return { status: error.message.includes('timeout') ? 408 : 400, message: error.message };
+  }
+
+  if (error.message.includes('Font not available')) {
+    return { status: 400, message: error.message.slice(error.message.indexOf('Font not available')) };
+  }
+
+  if (error.message.includes('timeout')) {
+    return { status: 408, message: 'Request timeout - page took too long to load' };
+  }
+
+  if (error.message.includes('not found') || error.message.includes('CSS selector')) {
+    return { status: 400, message: 'CSS selector not found on page' };
+  }
+
+  if (error.message.includes('Failed to load')) {
+    return { status: 400, message: 'Failed to load the specified URL' };
+  }
+
+  if (error.message.includes('Invalid')) {
+    return { status: 400, message: error.message.slice(error.message.indexOf('Invalid')) };
+  }
+
+  return { status: 500, message: fallbackMessage };
+}
+
+module.exports = {
+  describeRenderError,
+  ServiceUnavailableError,
+  QueueError,
+  BrowserCrashError
+};
@@ -8,15 +8,128 @@ const config = require('../config');
  * File management utilities for images
  */
 
+/**
+ * Supported output formats (images and PDF documents) with their file extensions and signatures
+ */
+const IMAGE_FORMATS = {
+  png: {
+    extensions: ['png'],
+    contentType: 'image/png',
+    matches: (header) => header.subarray(0, 8).equals(
+      Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])
+    )
+  },
+  jpeg: {
+    extensions: ['jpg', 'jpeg'],
+    contentType: 'image/jpeg',
+    matches: (header) => header.subarray(0, 3).equals(Buffer.from([0xFF, 0xD8, 0xFF]))
+  },
+  webp: {
+    extensions: ['webp'],
+    contentType: 'image/webp',
+    matches: (header) => header.toString('ascii', 0, 4) === 'RIFF' &&
+      header.toString('ascii', 8, 12) === 'WEBP'
+  },
+  pdf: {
+    extensions: ['pdf'],
+    contentType: 'application/pdf',
+    matches: (header) => header.toString('ascii', 0, 5) === '%PDF-'
+  }
+};
+
+const FILENAME_PATTERN = /^[a-zA-Z0-9\-_]+\.([a-zA-Z0-9]+)$/;
+
+/**
+ * Resolve the output format of a filename from its extension
+ */
+function getFormatFromFilename(filename) {
+  const match = typeof filename === 'string' && filename.match(FILENAME_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const extension = match[1].toLowerCase();
+  return Object.keys(IMAGE_FORMATS).find(format =>
+    IMAGE_FORMATS[format].extensions.includes(extension)
+  ) || null;
+}
+
+/**
+ * Check that a filename is safe to serve and has a supported extension
+ */
+function isValidImageFilename(filename) {
+  return getFormatFromFilename(filename) !== null;
+}
+
+/**
+ * Get the Content-Type for a stored image
+ */
+function getContentType(filename) {
+  const format = getFormatFromFilename(filename);
+  return format ? IMAGE_FORMATS[format].contentType : 'application/octet-stream';
+}
+
+/**
+ * Read pixel dimensions from a PNG, JPEG or WebP buffer
+ */
+function getImageDimensions(buffer) {
+  try {
+    if (IMAGE_FORMATS.png.matches(buffer)) {
+      return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+    
+    if (IMAGE_FORMATS.jpeg.matches(buffer)) {
+      let offset = 2;
+      
+      while (offset + 9 < buffer.length && buffer[offset] === 0xFF) {
+        const marker = buffer[offset + 1];
+        
+        // Start-of-frame markers (SOF0-SOF15, except DHT, JPG and DAC)
+        if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+          return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+        }
+        
+        offset += 2 + buffer.readUInt16BE(offset + 2);
+      }
+      
+      return null;
+    }
+    
+    if (IMAGE_FORMATS.webp.matches(buffer)) {
+      const chunk = buffer.toString('ascii', 12, 16);
+      
+      if (chunk === 'VP8 ') {
+        return { width: buffer.readUInt16LE(26) & 0x3FFF, height: buffer.readUInt16LE(28) & 0x3FFF };
+      }
+      
+      if (chunk === 'VP8L') {
+        const bits = buffer.readUInt32LE(21);
+        return { width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1 };
+      }
+      
+      if (chunk === 'VP8X') {
+        return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+      }
+    }
+    
+    return null;
+    
+  } catch (error) {
+    // Truncated or malformed header
+    return null;
+  }
+}
+
 /**
  * Generate unique filename for screenshot
  */
-function generateFilename(url, selector, extension = 'png') {
+function generateFilename(url, selector, format = 'png') {
   const timestamp = Date.now();
   const hash = crypto
     .createHash('md5')
     .update(`${url}-${selector}-${timestamp}`)
     .digest('hex');
+  const extension = IMAGE_FORMATS[format] ? IMAGE_FORMATS[format].extensions[0] : format;
   
   return `screenshot-${hash}-${timestamp}.${extension}`;
 }
@@ -32,7 +145,7 @@ async function saveImage(imageBuffer, filename = null, customTempDir = null) {
     
     // Generate filename if not provided
     if (!filename) {
-      filename = generateFilename('unknown', 'unknown');
+      filename = generateFilename('unknown', 'unknown', config.image.format);
     }
     
     const filepath = path.join(tempDir, filename);
@@ -53,6 +166,7 @@ async function saveImage(imageBuffer, filename = null, customTempDir = null) {
       filename,
       filepath,
       size: stats.size,
+      format: getFormatFromFilename(filename),
       created: stats.birthtime
     };
     
@@ -135,9 +249,7 @@ async function listImages() {
     await ensureDirectory(config.image.tempDir);
     
     const files = await fs.readdir(config.image.tempDir);
-    const imageFiles = files.filter(file => 
-      file.match(/\.(png|jpg|jpeg|gif|webp)$/i)
-    );
+    const imageFiles = files.filter(file => isValidImageFilename(file));
     
     const imageInfos = await Promise.all(
       imageFiles.map(async (filename) => {
@@ -389,16 +501,17 @@ async function validateImage(filename) {
       return { valid: false, reason: 'File does not exist' };
     }
     
-    // Check file extension
-    if (!filename.toLowerCase().endsWith('.png')) {
-      return { valid: false, reason: 'Invalid file extension' };
-    }
-    
     // Check filename format
-    if (!filename.match(/^[a-zA-Z0-9\-_]+\.png$/)) {
+    if (!filename.match(FILENAME_PATTERN)) {
       return { valid: false, reason: 'Invalid filename format' };
     }
     
+    // Check file extension
+    const format = getFormatFromFilename(filename);
+    if (!format) {
+      return { valid: false, reason: 'Invalid file extension' };
+    }
+    
     // Check file size
     const stats = await fs.stat(filepath);
     const maxSize = config.image.maxSize || 10 * 1024 * 1024; // 10MB default
@@ -411,15 +524,14 @@ async function validateImage(filename) {
       return { valid: false, reason: 'Empty file' };
     }
     
-    // Basic PNG header check
-    const buffer = await fs.readFile(filepath, { start: 0, end: 7 });
-    const pngSignature = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+    // Basic header check against the signature of the file's format
+    const header = await readFileHeader(filepath, 12);
     
-    if (!buffer.equals(pngSignature)) {
-      return { valid: false, reason: 'Invalid PNG signature' };
+    if (!IMAGE_FORMATS[format].matches(header)) {
+      return { valid: false, reason: `Invalid ${format.toUpperCase()} signature` };
     }
     
-    return { valid: true, size: stats.size, created: stats.birthtime };
+    return { valid: true, size: stats.size, format, created: stats.birthtime };
     
   } catch (error) {
     logger.error('Failed to validate image', { filename, error: error.message });
@@ -427,7 +539,27 @@ async function validateImage(filename) {
   }
 }
 
+/**
+ * Read the first bytes of a file
+ */
+async function readFileHeader(filepath, length) {
+  const handle = await fs.open(filepath, 'r');
+  
+  try {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
 module.exports = {
+  IMAGE_FORMATS,
+  getFormatFromFilename,
+  isValidImageFilename,
+  getContentType,
+  getImageDimensions,
   generateFilename,
   saveImage,
   deleteImage,
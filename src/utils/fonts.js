@@ -0,0 +1,175 @@
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('./logger');
+const config = require('../config');
+
+/**
+ * Web font utilities for Google Fonts, uploaded fonts and the local fonts directory
+ */
+
+const GOOGLE_FONTS_CSS_URL = 'https://fonts.googleapis.com/css2';
+
+const FONT_FORMATS = {
+  woff2: { extension: 'woff2', mimeType: 'font/woff2', cssFormat: 'woff2' },
+  woff: { extension: 'woff', mimeType: 'font/woff', cssFormat: 'woff' },
+  truetype: { extension: 'ttf', mimeType: 'font/ttf', cssFormat: 'truetype' },
+  opentype: { extension: 'otf', mimeType: 'font/otf', cssFormat: 'opentype' }
+};
+
+// Local font files are named "<Family>-<weight>[-italic].<ext>", e.g. "Inter-700.woff2"
+const LOCAL_FONT_PATTERN = /^(.+?)(?:-(\d{3}))?(?:-(italic))?\.(woff2|woff|ttf|otf)$/i;
+
+/**
+ * Detect font format from its magic bytes
+ */
+function detectFontFormat(buffer) {
+  if (!buffer || buffer.length < 4) {
+    return null;
+  }
+
+  const tag = buffer.toString('ascii', 0, 4);
+
+  if (tag === 'wOF2') return 'woff2';
+  if (tag === 'wOFF') return 'woff';
+  if (tag === 'OTTO') return 'opentype';
+  if (tag === 'true' || buffer.readUInt32BE(0) === 0x00010000) return 'truetype';
+
+  return null;
+}
+
+/**
+ * Normalize a family name for file lookups ("Roboto Mono" -> "robotomono")
+ */
+function normalizeFamily(family) {
+  return family.toLowerCase().replace(/[\s\-_]+/g, '');
+}
+
+/**
+ * Build the Google Fonts CSS2 stylesheet URL for the requested families
+ */
+function buildGoogleFontsUrl(families) {
+  const params = families.map(({ family, weights, italic }) => {
+    const name = family.trim().replace(/\s+/g, '+');
+    const sorted = [...weights].sort((a, b) => a - b);
+
+    if (italic) {
+      const tuples = [...sorted.map(weight => `0,${weight}`), ...sorted.map(weight => `1,${weight}`)];
+      return `family=${name}:ital,wght@${tuples.join(';')}`;
+    }
+
+    return `family=${name}:wght@${sorted.join(';')}`;
+  });
+
+  return `${GOOGLE_FONTS_CSS_URL}?${params.join('&')}&display=block`;
+}
+
+/**
+ * Build an @font-face rule embedding the font as a data URL
+ */
+function buildFontFace({ family, weight, style, format, buffer }) {
+  const { mimeType, cssFormat } = FONT_FORMATS[format];
+
+  return `@font-face {
+  font-family: "${family.replace(/"/g, '')}";
+  font-weight: ${weight};
+  font-style: ${style};
+  font-display: block;
+  src: url(data:${mimeType};base64,${buffer.toString('base64')}) format("${cssFormat}");
+}`;
+}
+
+/**
+ * List font files available in the configured local fonts directory
+ */
+async function listLocalFonts(fontsDir = config.fonts.dir) {
+  let files;
+
+  try {
+    files = await fs.readdir(fontsDir);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  return files.reduce((fonts, filename) => {
+    const match = filename.match(LOCAL_FONT_PATTERN);
+
+    if (match) {
+      const extension = match[4].toLowerCase();
+      fonts.push({
+        filename,
+        filepath: path.join(fontsDir, filename),
+        family: normalizeFamily(match[1]),
+        weight: match[2] ? parseInt(match[2]) : 400,
+        style: match[3] ? 'italic' : 'normal',
+        format: Object.keys(FONT_FORMATS).find(format => FONT_FORMATS[format].extension === extension)
+      });
+    }
+
+    return fonts;
+  }, []);
+}
+
+/**
+ * Resolve requested fonts into stylesheets to inject
+ * Local files take priority over Google Fonts so captures work without network access.
+ * Returns { stylesheetUrls, css, descriptors } where descriptors are document.fonts.load() inputs.
+ */
+async function resolveFonts({ googleFonts = [], fonts = [] } = {}) {
+  const faces = [];
+  const descriptors = [];
+  const remoteFamilies = [];
+  const localFonts = googleFonts.length ? await listLocalFonts() : [];
+
+  for (const request of googleFonts) {
+    const styles = request.italic ? ['normal', 'italic'] : ['normal'];
+    const matches = localFonts.filter(font =>
+      font.family === normalizeFamily(request.family) &&
+      request.weights.includes(font.weight) &&
+      styles.includes(font.style)
+    );
+
+    if (matches.length) {
+      for (const font of matches) {
+        const buffer = await fs.readFile(font.filepath);
+        faces.push(buildFontFace({ ...font, family: request.family, buffer }));
+      }
+
+      logger.debug('Using local font files', {
+        family: request.family,
+        files: matches.map(font => font.filename)
+      });
+    } else if (config.fonts.googleFontsEnabled) {
+      remoteFamilies.push(request);
+    } else {
+      throw new Error(`Font not available: "${request.family}" was not found in ${config.fonts.dir}`);
+    }
+
+    for (const weight of request.weights) {
+      for (const style of styles) {
+        descriptors.push(`${style} ${weight} 16px "${request.family}"`);
+      }
+    }
+  }
+
+  for (const font of fonts) {
+    faces.push(buildFontFace(font));
+    descriptors.push(`${font.style} ${font.weight} 16px "${font.family}"`);
+  }
+
+  return {
+    stylesheetUrls: remoteFamilies.length ? [buildGoogleFontsUrl(remoteFamilies)] : [],
+    css: faces.join('\n'),
+    descriptors
+  };
+}
+
+module.exports = {
+  FONT_FORMATS,
+  detectFontFormat,
+  buildGoogleFontsUrl,
+  listLocalFonts,
+  resolveFonts
+};
@@ -1,4 +1,5 @@
 const config = require('../config');
+const { redactReplacer } = require('./redact');
 
 /**
  * Simple logger utility
@@ -19,7 +20,8 @@ class Logger {
 
   formatMessage(level, message, meta = {}) {
     const timestamp = new Date().toISOString();
-    const metaStr = Object.keys(meta).length > 0 ? ` | ${JSON.stringify(meta)}` : '';
+    // Credentials forwarded to target pages never reach the logs
+    const metaStr = Object.keys(meta).length > 0 ? ` | ${JSON.stringify(meta, redactReplacer)}` : '';
     return `[${timestamp}] [${level.toUpperCase()}] ${message}${metaStr}`;
   }
 
@@ -0,0 +1,80 @@
+/**
+ * Redaction of credentials forwarded to target pages (headers, cookies and HTTP auth)
+ */
+
+const REDACTED = '[REDACTED]';
+
+// Log meta keys whose values are always replaced
+const SENSITIVE_KEYS = new Set([
+  'headers',
+  'cookies',
+  'cookie',
+  'authorization',
+  'httpcredentials',
+  'http_credentials',
+  'password'
+]);
+
+// Shorter values would mangle unrelated text when scrubbed from messages
+const MIN_SECRET_LENGTH = 4;
+
+/**
+ * JSON.stringify replacer hiding sensitive keys
+ */
+function redactReplacer(key, value) {
+  if (value !== undefined && value !== null && SENSITIVE_KEYS.has(key.toLowerCase())) {
+    return REDACTED;
+  }
+
+  return value;
+}
+
+/**
+ * Collect secret values from validated capture options
+ */
+function collectSecrets(options = {}) {
+  return [
+    ...Object.values(options.headers || {}),
+    ...(options.cookies || []).map(cookie => cookie.value),
+    ...(options.httpCredentials ? [options.httpCredentials.password] : [])
+  ].filter(secret => typeof secret === 'string' && secret.length >= MIN_SECRET_LENGTH);
+}
+
+/**
+ * Scrub secret values from a string
+ */
+function redactText(text, secrets) {
+  if (typeof text !== 'string') {
+    return text;
+  }
+
+  return secrets.reduce((result, secret) => result.split(secret).join(REDACTED), text);
+}
+
+/**
+ * Scrub the request's secrets from an error before it is logged or returned
+ */
+function redactError(error, options) {
+  const secrets = collectSecrets(options);
+
+  if (!error || !secrets.length) {
+    return error;
+  }
+
+  error.message = redactText(error.message, secrets);
+  error.stack = redactText(error.stack, secrets);
+
+  if (error.script) {
+    error.script.message = redactText(error.script.message, secrets);
+  }
+
+  return error;
+}
+
+module.exports = {
+  REDACTED,
+  redactReplacer,
+  collectSecrets,
+  redactText,
+  redactError
+};
@@ -0,0 +1,69 @@
+/**
+ * Variable substitution for HTML templates
+ * `{{ name }}` inserts the HTML-escaped value and `{{{ name }}}` the raw value; dotted paths
+ * such as `{{ user.name }}` read nested data.
+ */
+
+const VARIABLE_PATTERN = /\{\{\{\s*([\w.-]+)\s*\}\}\}|\{\{\s*([\w.-]+)\s*\}\}/g;
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+/**
+ * Escape text for use in HTML content and attribute values
+ */
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, character => HTML_ESCAPES[character]);
+}
+
+/**
+ * Resolve a dotted path in the data object; undefined when any segment is missing
+ */
+function resolveVariable(data, name) {
+  return name.split('.').reduce((value, key) =>
+    value !== null && typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, key)
+      ? value[key]
+      : undefined, data);
+}
+
+/**
+ * List the variable names used by a template, in order of first use
+ */
+function listVariables(source) {
+  const names = [...source.matchAll(VARIABLE_PATTERN)].map(match => match[1] || match[2]);
+  return [...new Set(names)];
+}
+
+/**
+ * Substitute data into a template
+ * Returns { output, missing } where missing lists variables without a value (null counts as missing);
+ * objects and arrays are inserted as JSON.
+ */
+function interpolateTemplate(source, data) {
+  const missing = new Set();
+
+  const output = source.replace(VARIABLE_PATTERN, (match, rawName, escapedName) => {
+    const value = resolveVariable(data, rawName || escapedName);
+
+    if (value === undefined || value === null) {
+      missing.add(rawName || escapedName);
+      return '';
+    }
+
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return rawName ? text : escapeHtml(text);
+  });
+
+  return { output, missing: [...missing] };
+}
+
+module.exports = {
+  escapeHtml,
+  listVariables,
+  interpolateTemplate
+};
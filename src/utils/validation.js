@@ -2,6 +2,53 @@
  * Request validation utilities
  */
 
+const config = require('../config');
+const { detectFontFormat } = require('./fonts');
+const { resolveDevice } = require('./devices');
+
+const MAX_HTML_LENGTH = 5 * 1024 * 1024; // 5MB
+const MAX_CSS_LENGTH = 1024 * 1024; // 1MB
+const MAX_TEMPLATE_NAME_LENGTH = 100;
+const MAX_TEMPLATE_DESCRIPTION_LENGTH = 500;
+// Request fields a template render may not override
+const TEMPLATE_RENDER_EXCLUDED = ['url', 'html', 'css', 'async', 'webhook_url'];
+const IMAGE_FORMATS = ['png', 'jpeg', 'webp'];
+const TRANSPARENT_FORMATS = ['png', 'webp'];
+const BROWSER_ENGINES = config.browser.supportedEngines;
+const MIN_DEVICE_SCALE = 1;
+const MAX_DEVICE_SCALE = 4;
+const MIN_VIEWPORT_SIZE = 200;
+const MAX_VIEWPORT_SIZE = 7680;
+const MAX_BREAKPOINTS = 10;
+const MAX_SELECTORS = 20;
+const MAX_CLEANUP_SELECTORS = 50;
+const MAX_PADDING = 500;
+const MAX_CLIP_SIZE = 16384;
+const PADDING_SIDES = ['top', 'right', 'bottom', 'left'];
+const WAIT_UNTIL_EVENTS = ['load', 'domcontentloaded', 'networkidle'];
+const COLOR_SCHEMES = ['light', 'dark', 'no-preference'];
+const REDUCED_MOTION_VALUES = ['reduce', 'no-preference'];
+const MEDIA_TYPES = ['screen', 'print'];
+const MAX_HEADERS = 50;
+const MAX_COOKIES = 50;
+const MAX_HEADER_VALUE_LENGTH = 8192;
+const HEADER_NAME_PATTERN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+const FORBIDDEN_HEADERS = ['host', 'content-length', 'connection', 'transfer-encoding', 'upgrade'];
+const COOKIE_SAME_SITE_VALUES = ['Strict', 'Lax', 'None'];
+const MAX_DELAY_MS = 10000;
+const MAX_SCRIPT_LENGTH = 10000;
+const MAX_INJECT_SCRIPT_LENGTH = 100 * 1024; // 100KB
+const MIN_SCRIPT_TIMEOUT = 100;
+const MAX_SCRIPT_TIMEOUT = 30000;
+const MAX_FONTS = 10;
+const MAX_FONT_FILE_SIZE = 2 * 1024 * 1024; // 2MB
+const FONT_WEIGHTS = [100, 200, 300, 400, 500, 600, 700, 800, 900];
+const FONT_FAMILY_PATTERN = /^[a-zA-Z0-9 ]{1,100}$/;
+const PDF_PAGE_SIZES = ['Letter', 'Legal', 'Tabloid', 'Ledger', 'A0', 'A1', 'A2', 'A3', 'A4', 'A5', 'A6'];
+const MAX_PDF_TEMPLATE_LENGTH = 100 * 1024; // 100KB
+const CSS_LENGTH_PATTERN = /^\d+(\.\d+)?(px|in|cm|mm)$/;
+const PAGE_RANGES_PATTERN = /^\d+(\s*-\s*\d+)?(\s*,\s*\d+(\s*-\s*\d+)?)*$/;
+
 /**
  * Validate URL parameter
  */
@@ -50,14 +97,1248 @@ function validateSelector(selector) {
 }
 
 /**
- * Validate image conversion parameters
+ * Validate raw HTML markup
  */
-function validateImageParams(params) {
-  const { url, selector } = params;
-  
+function validateHtml(html) {
+  if (!html || typeof html !== 'string' || !html.trim()) {
+    throw new ValidationError('HTML is required and must be a non-empty string', 'html');
+  }
+
+  if (html.length > MAX_HTML_LENGTH) {
+    throw new ValidationError(`HTML is too long (max ${MAX_HTML_LENGTH} characters)`, 'html');
+  }
+
+  return html;
+}
+
+/**
+ * Validate optional CSS stylesheet
+ */
+function validateCss(css) {
+  if (css === undefined || css === null || css === '') {
+    return null;
+  }
+
+  if (typeof css !== 'string') {
+    throw new ValidationError('CSS must be a string', 'css');
+  }
+
+  if (css.length > MAX_CSS_LENGTH) {
+    throw new ValidationError(`CSS is too long (max ${MAX_CSS_LENGTH} characters)`, 'css');
+  }
+
+  return css;
+}
+
+/**
+ * Validate output image format
+ */
+function validateFormat(format) {
+  if (format === undefined || format === null) {
+    return IMAGE_FORMATS.includes(config.image.format) ? config.image.format : 'png';
+  }
+
+  const normalized = typeof format === 'string' ? format.trim().toLowerCase() : format;
+  const value = normalized === 'jpg' ? 'jpeg' : normalized;
+
+  if (!IMAGE_FORMATS.includes(value)) {
+    throw new ValidationError(`Format must be one of: ${IMAGE_FORMATS.join(', ')}`, 'format');
+  }
+
+  return value;
+}
+
+/**
+ * Validate output quality (lossy formats only)
+ */
+function validateQuality(quality, format) {
+  if (quality === undefined || quality === null) {
+    return format === 'png' ? null : config.image.quality;
+  }
+
+  if (format === 'png') {
+    throw new ValidationError('Quality is only supported for jpeg and webp formats', 'quality');
+  }
+
+  const value = Number(quality);
+  if (!Number.isInteger(value) || value < 1 || value > 100) {
+    throw new ValidationError('Quality must be an integer between 1 and 100', 'quality');
+  }
+
+  return value;
+}
+
+/**
+ * Validate device scale factor used for high-DPI captures
+ */
+function validateDeviceScale(deviceScale, defaultValue = 1) {
+  if (deviceScale === undefined || deviceScale === null) {
+    return defaultValue;
+  }
+
+  const value = Number(deviceScale);
+  if (!Number.isFinite(value) || value < MIN_DEVICE_SCALE || value > MAX_DEVICE_SCALE) {
+    throw new ValidationError(
+      `Device scale must be a number between ${MIN_DEVICE_SCALE} and ${MAX_DEVICE_SCALE}`,
+      'device_scale'
+    );
+  }
+
+  return value;
+}
+
+/**
+ * Validate a single viewport dimension
+ */
+function validateViewportSize(value, field, defaultValue) {
+  if (value === undefined || value === null) {
+    return defaultValue;
+  }
+
+  const size = Number(value);
+  if (!Number.isInteger(size) || size < MIN_VIEWPORT_SIZE || size > MAX_VIEWPORT_SIZE) {
+    throw new ValidationError(
+      `${field} must be an integer between ${MIN_VIEWPORT_SIZE} and ${MAX_VIEWPORT_SIZE}`,
+      field
+    );
+  }
+
+  return size;
+}
+
+/**
+ * Validate per-request viewport, falling back to the device or configured browser viewport
+ */
+function validateViewport(params, defaults = config.browser.viewport) {
+  return {
+    width: validateViewportSize(params.viewport_width, 'viewport_width', defaults.width),
+    height: validateViewportSize(params.viewport_height, 'viewport_height', defaults.height)
+  };
+}
+
+/**
+ * Validate device emulation preset name
+ * Returns the matched Playwright descriptor; explicit viewport and device_scale still take precedence.
+ */
+function validateDevice(device) {
+  if (device === undefined || device === null) {
+    return null;
+  }
+
+  const descriptor = resolveDevice(device);
+
+  if (!descriptor) {
+    throw new ValidationError('Unknown device, see GET /v1/image/devices for supported presets', 'device');
+  }
+
+  return descriptor;
+}
+
+/**
+ * Validate locale, timezone and geolocation emulation for the browser context
+ */
+function validateLocaleOptions(params) {
+  const { locale, timezone_id, geolocation } = params;
+  const options = {
+    locale: null,
+    timezoneId: null,
+    geolocation: null
+  };
+
+  if (locale !== undefined && locale !== null) {
+    try {
+      [options.locale] = Intl.getCanonicalLocales(locale);
+    } catch (error) {
+      throw new ValidationError('locale must be a BCP 47 language tag, e.g. "en-US"', 'locale');
+    }
+
+    if (!options.locale) {
+      throw new ValidationError('locale must be a BCP 47 language tag, e.g. "en-US"', 'locale');
+    }
+  }
+
+  if (timezone_id !== undefined && timezone_id !== null) {
+    try {
+      options.timezoneId = new Intl.DateTimeFormat('en-US', { timeZone: timezone_id }).resolvedOptions().timeZone;
+    } catch (error) {
+      throw new ValidationError('timezone_id must be an IANA time zone, e.g. "Europe/Berlin"', 'timezone_id');
+    }
+  }
+
+  if (geolocation !== undefined && geolocation !== null) {
+    if (typeof geolocation !== 'object' || Array.isArray(geolocation)) {
+      throw new ValidationError('geolocation must be an object with latitude and longitude', 'geolocation');
+    }
+
+    const latitude = Number(geolocation.latitude);
+    const longitude = Number(geolocation.longitude);
+    const accuracy = geolocation.accuracy === undefined ? 0 : Number(geolocation.accuracy);
+
+    if (geolocation.latitude === undefined || !Number.isFinite(latitude) || latitude < -90 || latitude > 90) {
+      throw new ValidationError('geolocation.latitude must be a number between -90 and 90', 'geolocation');
+    }
+
+    if (geolocation.longitude === undefined || !Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+      throw new ValidationError('geolocation.longitude must be a number between -180 and 180', 'geolocation');
+    }
+
+    if (!Number.isFinite(accuracy) || accuracy < 0) {
+      throw new ValidationError('geolocation.accuracy must be a non-negative number', 'geolocation');
+    }
+
+    options.geolocation = { latitude, longitude, accuracy };
+  }
+
+  return options;
+}
+
+/**
+ * Validate extra HTTP headers sent with every request of the capture
+ * Values are never echoed back in error messages.
+ */
+function validateHeaders(headers) {
+  if (headers === undefined || headers === null) {
+    return null;
+  }
+
+  if (typeof headers !== 'object' || Array.isArray(headers)) {
+    throw new ValidationError('headers must be an object of header names to values', 'headers');
+  }
+
+  const entries = Object.entries(headers);
+
+  if (entries.length > MAX_HEADERS) {
+    throw new ValidationError(`Too many headers (max ${MAX_HEADERS})`, 'headers');
+  }
+
+  return entries.reduce((result, [name, value]) => {
+    if (!HEADER_NAME_PATTERN.test(name) || FORBIDDEN_HEADERS.includes(name.toLowerCase())) {
+      throw new ValidationError(`Header name "${name.slice(0, 100)}" is not allowed`, 'headers');
+    }
+
+    if (typeof value !== 'string' || /[\r\n]/.test(value) || value.length > MAX_HEADER_VALUE_LENGTH) {
+      throw new ValidationError(`Header "${name}" must have a single-line string value (max ${MAX_HEADER_VALUE_LENGTH} characters)`, 'headers');
+    }
+
+    result[name] = value;
+    return result;
+  }, {});
+}
+
+/**
+ * Validate cookies set in the browser context before loading the page
+ * Cookies without url or domain are scoped to the requested url.
+ */
+function validateCookies(cookies, url) {
+  if (cookies === undefined || cookies === null) {
+    return null;
+  }
+
+  if (!Array.isArray(cookies) || cookies.length === 0) {
+    throw new ValidationError('cookies must be a non-empty array of { name, value } objects', 'cookies');
+  }
+
+  if (cookies.length > MAX_COOKIES) {
+    throw new ValidationError(`Too many cookies (max ${MAX_COOKIES})`, 'cookies');
+  }
+
+  return cookies.map((cookie, index) => {
+    const field = `cookies[${index}]`;
+
+    if (!cookie || typeof cookie !== 'object' || typeof cookie.name !== 'string' || !cookie.name.trim()) {
+      throw new ValidationError(`${field} must have a non-empty name`, 'cookies');
+    }
+
+    if (typeof cookie.value !== 'string') {
+      throw new ValidationError(`${field} must have a string value`, 'cookies');
+    }
+
+    const result = { name: cookie.name.trim(), value: cookie.value };
+
+    if (cookie.domain !== undefined) {
+      if (typeof cookie.domain !== 'string' || !cookie.domain.trim()) {
+        throw new ValidationError(`${field}.domain must be a non-empty string`, 'cookies');
+      }
+      result.domain = cookie.domain.trim();
+      result.path = typeof cookie.path === 'string' && cookie.path.startsWith('/') ? cookie.path : '/';
+    } else if (cookie.url !== undefined) {
+      try {
+        result.url = validateUrl(cookie.url);
+      } catch (error) {
+        throw new ValidationError(`${field}.url: ${error.message}`, 'cookies');
+      }
+    } else if (url) {
+      result.url = url;
+    } else {
+      throw new ValidationError(`${field} requires a domain or url when rendering raw html`, 'cookies');
+    }
+
+    if (cookie.expires !== undefined) {
+      const expires = Number(cookie.expires);
+      if (!Number.isFinite(expires)) {
+        throw new ValidationError(`${field}.expires must be a unix timestamp in seconds`, 'cookies');
+      }
+      result.expires = expires;
+    }
+
+    if (cookie.http_only !== undefined || cookie.httpOnly !== undefined) {
+      result.httpOnly = validateBoolean(cookie.http_only ?? cookie.httpOnly, `${field}.http_only`);
+    }
+
+    if (cookie.secure !== undefined) {
+      result.secure = validateBoolean(cookie.secure, `${field}.secure`);
+    }
+
+    const sameSite = cookie.same_site ?? cookie.sameSite;
+    if (sameSite !== undefined) {
+      if (!COOKIE_SAME_SITE_VALUES.includes(sameSite)) {
+        throw new ValidationError(`${field}.same_site must be one of: ${COOKIE_SAME_SITE_VALUES.join(', ')}`, 'cookies');
+      }
+      result.sameSite = sameSite;
+    }
+
+    return result;
+  });
+}
+
+/**
+ * Validate HTTP basic auth credentials for the target page
+ */
+function validateHttpCredentials(credentials) {
+  if (credentials === undefined || credentials === null) {
+    return null;
+  }
+
+  if (typeof credentials !== 'object' || Array.isArray(credentials) ||
+    typeof credentials.username !== 'string' || !credentials.username ||
+    typeof credentials.password !== 'string') {
+    throw new ValidationError('http_credentials must be an object with username and password strings', 'http_credentials');
+  }
+
+  return {
+    username: credentials.username,
+    password: credentials.password
+  };
+}
+
+/**
+ * Validate credentials forwarded to the target page, applied to the request's own browser context
+ * Headers and HTTP credentials are only sent to the url's origin, so raw html (which has none) cannot use them.
+ */
+function validateRequestOptions(params) {
+  let url = null;
+
+  if (params.url !== undefined && params.html === undefined) {
+    url = validateUrl(params.url);
+  }
+
+  const headers = validateHeaders(params.headers);
+  const httpCredentials = validateHttpCredentials(params.http_credentials);
+
+  if (!url && (headers || httpCredentials)) {
+    throw new ValidationError('headers and http_credentials require a url', headers ? 'headers' : 'http_credentials');
+  }
+
+  return {
+    headers,
+    cookies: validateCookies(params.cookies, url),
+    httpCredentials
+  };
+}
+
+/**
+ * Validate wait conditions applied before capture
+ */
+function validateWaitOptions(params) {
+  const { wait_until, ms_delay, wait_for_selector, wait_for_function } = params;
+  const options = {
+    waitUntil: null,
+    msDelay: null,
+    waitForSelector: null,
+    waitForFunction: null,
+    renderWhenReady: validateBoolean(params.render_when_ready, 'render_when_ready')
+  };
+
+  if (wait_until !== undefined && wait_until !== null) {
+    if (!WAIT_UNTIL_EVENTS.includes(wait_until)) {
+      throw new ValidationError(`wait_until must be one of: ${WAIT_UNTIL_EVENTS.join(', ')}`, 'wait_until');
+    }
+    options.waitUntil = wait_until;
+  }
+
+  if (ms_delay !== undefined && ms_delay !== null) {
+    const delay = Number(ms_delay);
+    if (!Number.isInteger(delay) || delay < 0 || delay > MAX_DELAY_MS) {
+      throw new ValidationError(`ms_delay must be an integer between 0 and ${MAX_DELAY_MS}`, 'ms_delay');
+    }
+    options.msDelay = delay;
+  }
+
+  if (wait_for_selector !== undefined && wait_for_selector !== null) {
+    try {
+      options.waitForSelector = validateSelector(wait_for_selector);
+    } catch (error) {
+      throw new ValidationError(`wait_for_selector: ${error.message}`, 'wait_for_selector');
+    }
+  }
+
+  if (wait_for_function !== undefined && wait_for_function !== null) {
+    if (typeof wait_for_function !== 'string' || !wait_for_function.trim()) {
+      throw new ValidationError('wait_for_function must be a non-empty JavaScript expression', 'wait_for_function');
+    }
+
+    if (wait_for_function.length > MAX_SCRIPT_LENGTH) {
+      throw new ValidationError(`wait_for_function is too long (max ${MAX_SCRIPT_LENGTH} characters)`, 'wait_for_function');
+    }
+    options.waitForFunction = wait_for_function;
+  }
+
+  return options;
+}
+
+/**
+ * Validate page script source
+ * Scripts are compiled (never run) here so syntax errors are reported before launching a page.
+ */
+function validateScript(script, field, { async = false } = {}) {
+  if (typeof script !== 'string' || !script.trim()) {
+    throw new ValidationError(`${field} must be a non-empty JavaScript string`, field);
+  }
+
+  if (script.length > MAX_INJECT_SCRIPT_LENGTH) {
+    throw new ValidationError(`${field} is too long (max ${MAX_INJECT_SCRIPT_LENGTH} characters)`, field);
+  }
+
+  try {
+    const Compiler = async ? Object.getPrototypeOf(async function () {}).constructor : Function;
+    new Compiler(script);
+  } catch (error) {
+    throw new ValidationError(`${field} has a syntax error: ${error.message}`, field);
+  }
+
+  return script;
+}
+
+/**
+ * Validate custom scripts: init_script runs before any page script, inject_js after load
+ */
+function validateScriptOptions(params) {
+  const { inject_js, init_script, script_timeout } = params;
+  const options = {
+    injectJs: null,
+    initScript: null,
+    scriptTimeout: config.browser.scriptTimeout
+  };
+
+  if (inject_js !== undefined && inject_js !== null) {
+    options.injectJs = validateScript(inject_js, 'inject_js', { async: true });
+  }
+
+  if (init_script !== undefined && init_script !== null) {
+    options.initScript = validateScript(init_script, 'init_script');
+  }
+
+  if (script_timeout !== undefined && script_timeout !== null) {
+    const timeout = Number(script_timeout);
+
+    if (!Number.isInteger(timeout) || timeout < MIN_SCRIPT_TIMEOUT || timeout > MAX_SCRIPT_TIMEOUT) {
+      throw new ValidationError(`script_timeout must be an integer between ${MIN_SCRIPT_TIMEOUT} and ${MAX_SCRIPT_TIMEOUT}`, 'script_timeout');
+    }
+    options.scriptTimeout = timeout;
+  }
+
+  return options;
+}
+
+/**
+ * Validate media emulation: color scheme, reduced motion and CSS media type
+ * Unset values keep the browser defaults.
+ */
+function validateMediaOptions(params) {
+  const { color_scheme, reduced_motion, media } = params;
+  const options = {
+    colorScheme: null,
+    reducedMotion: null,
+    media: null
+  };
+
+  if (color_scheme !== undefined && color_scheme !== null) {
+    if (!COLOR_SCHEMES.includes(color_scheme)) {
+      throw new ValidationError(`color_scheme must be one of: ${COLOR_SCHEMES.join(', ')}`, 'color_scheme');
+    }
+    options.colorScheme = color_scheme;
+  }
+
+  if (reduced_motion !== undefined && reduced_motion !== null) {
+    // Booleans are accepted as shorthand for reduce / no-preference
+    const value = typeof reduced_motion === 'boolean' || reduced_motion === 'true' || reduced_motion === 'false'
+      ? (validateBoolean(reduced_motion, 'reduced_motion') ? 'reduce' : 'no-preference')
+      : reduced_motion;
+
+    if (!REDUCED_MOTION_VALUES.includes(value)) {
+      throw new ValidationError(`reduced_motion must be a boolean or one of: ${REDUCED_MOTION_VALUES.join(', ')}`, 'reduced_motion');
+    }
+    options.reducedMotion = value;
+  }
+
+  if (media !== undefined && media !== null) {
+    if (!MEDIA_TYPES.includes(media)) {
+      throw new ValidationError(`media must be one of: ${MEDIA_TYPES.join(', ')}`, 'media');
+    }
+    options.media = media;
+  }
+
+  return options;
+}
+
+/**
+ * Validate a list of font weights
+ */
+function validateFontWeights(weights, field) {
+  const values = (Array.isArray(weights) ? weights : [weights]).map(Number);
+
+  if (!values.length || values.some(weight => !FONT_WEIGHTS.includes(weight))) {
+    throw new ValidationError(`${field} weights must be multiples of 100 between 100 and 900`, field);
+  }
+
+  return [...new Set(values)];
+}
+
+/**
+ * Validate font family name
+ */
+function validateFontFamily(family, field) {
+  if (typeof family !== 'string' || !FONT_FAMILY_PATTERN.test(family.trim())) {
+    throw new ValidationError(`${field} must be a font family name (letters, numbers and spaces)`, field);
+  }
+
+  return family.trim();
+}
+
+/**
+ * Validate Google Fonts: "Inter", "Inter:400,700" or { family, weights, italic }
+ */
+function validateGoogleFonts(googleFonts) {
+  if (googleFonts === undefined || googleFonts === null) {
+    return [];
+  }
+
+  if (!Array.isArray(googleFonts) || googleFonts.length > MAX_FONTS) {
+    throw new ValidationError(`google_fonts must be an array of at most ${MAX_FONTS} families`, 'google_fonts');
+  }
+
+  return googleFonts.map(font => {
+    if (typeof font === 'string') {
+      const [family, weights] = font.split(':');
+      return {
+        family: validateFontFamily(family, 'google_fonts'),
+        weights: weights ? validateFontWeights(weights.split(','), 'google_fonts') : [400],
+        italic: false
+      };
+    }
+
+    if (!font || typeof font !== 'object') {
+      throw new ValidationError('google_fonts entries must be strings or objects', 'google_fonts');
+    }
+
+    return {
+      family: validateFontFamily(font.family, 'google_fonts'),
+      weights: font.weights === undefined ? [400] : validateFontWeights(font.weights, 'google_fonts'),
+      italic: validateBoolean(font.italic, 'google_fonts.italic')
+    };
+  });
+}
+
+/**
+ * Validate uploaded fonts: [{ family, data (base64), weight, style }]
+ */
+function validateUploadedFonts(fonts) {
+  if (fonts === undefined || fonts === null) {
+    return [];
+  }
+
+  if (!Array.isArray(fonts) || fonts.length > MAX_FONTS) {
+    throw new ValidationError(`fonts must be an array of at most ${MAX_FONTS} font files`, 'fonts');
+  }
+
+  return fonts.map(font => {
+    if (!font || typeof font !== 'object' || typeof font.data !== 'string') {
+      throw new ValidationError('fonts entries must be objects with family and base64 data', 'fonts');
+    }
+
+    const buffer = Buffer.from(font.data, 'base64');
+    const format = detectFontFormat(buffer);
+
+    if (!format) {
+      throw new ValidationError('fonts data must be a base64 encoded woff2, woff, ttf or otf file', 'fonts');
+    }
+
+    if (buffer.length > MAX_FONT_FILE_SIZE) {
+      throw new ValidationError(`Font file is too large (max ${MAX_FONT_FILE_SIZE} bytes)`, 'fonts');
+    }
+
+    const style = font.style === undefined ? 'normal' : font.style;
+    if (!['normal', 'italic'].includes(style)) {
+      throw new ValidationError('fonts style must be normal or italic', 'fonts');
+    }
+
+    return {
+      family: validateFontFamily(font.family, 'fonts'),
+      weight: font.weight === undefined ? 400 : validateFontWeights(font.weight, 'fonts')[0],
+      style,
+      format,
+      buffer
+    };
+  });
+}
+
+/**
+ * Validate rendering engine against the engines enabled in config
+ * WebP goes through the Chromium DevTools protocol, so it is only available there.
+ */
+function validateEngine(engine, format) {
+  if (engine === undefined || engine === null) {
+    engine = config.browser.defaultEngine;
+  } else if (!BROWSER_ENGINES.includes(engine)) {
+    throw new ValidationError(`engine must be one of: ${BROWSER_ENGINES.join(', ')}`, 'engine');
+  } else if (!config.browser.engines.includes(engine)) {
+    throw new ValidationError(`engine ${engine} is not enabled (enabled: ${config.browser.engines.join(', ')})`, 'engine');
+  }
+
+  if (format === 'webp' && engine !== 'chromium') {
+    throw new ValidationError('webp format is only supported by the chromium engine', 'format');
+  }
+
+  return engine;
+}
+
+/**
+ * Validate transparent background option (`omit_background`, alias `transparent`)
+ */
+function validateOmitBackground(params, format) {
+  const field = params.omit_background !== undefined ? 'omit_background' : 'transparent';
+  const omitBackground = validateBoolean(params[field], field);
+
+  if (omitBackground && !TRANSPARENT_FORMATS.includes(format)) {
+    throw new ValidationError(`${field} is only supported for ${TRANSPARENT_FORMATS.join(' and ')} formats`, field);
+  }
+
+  return omitBackground;
+}
+
+/**
+ * Validate page cleanup options applied before capture
+ */
+function validateCleanupOptions(params) {
+  const { hide_selectors, remove_selectors, inject_css } = params;
+  const options = {
+    hideSelectors: [],
+    removeSelectors: [],
+    injectCss: null,
+    blockCookieBanners: validateBoolean(params.block_cookie_banners, 'block_cookie_banners')
+  };
+
+  if (hide_selectors !== undefined && hide_selectors !== null) {
+    options.hideSelectors = validateSelectors(hide_selectors, 'hide_selectors', MAX_CLEANUP_SELECTORS);
+  }
+
+  if (remove_selectors !== undefined && remove_selectors !== null) {
+    options.removeSelectors = validateSelectors(remove_selectors, 'remove_selectors', MAX_CLEANUP_SELECTORS);
+  }
+
+  try {
+    options.injectCss = validateCss(inject_css);
+  } catch (error) {
+    throw new ValidationError(`inject_css: ${error.message}`, 'inject_css');
+  }
+
+  return options;
+}
+
+/**
+ * Validate capture options shared by the image routes
+ */
+function validateCaptureOptions(params) {
+  const format = validateFormat(params.format);
+  const device = validateDevice(params.device);
+
+  return {
+    format,
+    engine: validateEngine(params.engine, format),
+    quality: validateQuality(params.quality, format),
+    omitBackground: validateOmitBackground(params, format),
+    device: device && {
+      name: device.name,
+      userAgent: device.userAgent,
+      isMobile: device.isMobile,
+      hasTouch: device.hasTouch
+    },
+    deviceScale: validateDeviceScale(params.device_scale, device?.deviceScaleFactor),
+    viewport: validateViewport(params, device?.viewport),
+    ...validateLocaleOptions(params),
+    ...validateRequestOptions(params),
+    ...validateMediaOptions(params),
+    ...validateWaitOptions(params),
+    googleFonts: validateGoogleFonts(params.google_fonts),
+    fonts: validateUploadedFonts(params.fonts),
+    ...validateCleanupOptions(params),
+    ...validateScriptOptions(params)
+  };
+}
+
+/**
+ * Validate render source: either a live `url` or raw `html` (+ optional `css`)
+ */
+function validateSource(params) {
+  const { url, html, css } = params;
+
+  if (html !== undefined) {
+    if (url !== undefined) {
+      throw new ValidationError('Provide either url or html, not both', 'html');
+    }
+
+    return {
+      html: validateHtml(html),
+      css: validateCss(css)
+    };
+  }
+
+  return {
+    url: validateUrl(url)
+  };
+}
+
+/**
+ * Validate padding around captured elements
+ * Accepts a uniform number or { top, right, bottom, left }; returns all four sides.
+ */
+function validatePadding(padding) {
+  if (padding === undefined || padding === null) {
+    return null;
+  }
+
+  const validateSide = (value, field) => {
+    const size = Number(value);
+
+    if (!Number.isInteger(size) || size < 0 || size > MAX_PADDING) {
+      throw new ValidationError(`${field} must be an integer between 0 and ${MAX_PADDING}`, 'padding');
+    }
+
+    return size;
+  };
+
+  if (typeof padding === 'object' && !Array.isArray(padding)) {
+    const unknown = Object.keys(padding).filter(side => !PADDING_SIDES.includes(side));
+
+    if (unknown.length) {
+      throw new ValidationError(`Unknown padding side: ${unknown[0]}`, 'padding');
+    }
+
+    return PADDING_SIDES.reduce((sides, side) => {
+      sides[side] = padding[side] === undefined ? 0 : validateSide(padding[side], `padding.${side}`);
+      return sides;
+    }, {});
+  }
+
+  const size = validateSide(padding, 'padding');
+  return { top: size, right: size, bottom: size, left: size };
+}
+
+/**
+ * Validate explicit clip rectangle in page coordinates
+ */
+function validateClip(clip) {
+  if (clip === undefined || clip === null) {
+    return null;
+  }
+
+  if (typeof clip !== 'object' || Array.isArray(clip)) {
+    throw new ValidationError('clip must be an object with x, y, width and height', 'clip');
+  }
+
+  const result = {};
+
+  for (const field of ['x', 'y']) {
+    const value = Number(clip[field] ?? 0);
+
+    if (!Number.isFinite(value) || value < 0) {
+      throw new ValidationError(`clip.${field} must be a number greater than or equal to 0`, 'clip');
+    }
+
+    result[field] = value;
+  }
+
+  for (const field of ['width', 'height']) {
+    const value = Number(clip[field]);
+
+    if (!Number.isFinite(value) || value <= 0 || value > MAX_CLIP_SIZE) {
+      throw new ValidationError(`clip.${field} must be a number between 1 and ${MAX_CLIP_SIZE}`, 'clip');
+    }
+
+    result[field] = value;
+  }
+
+  return result;
+}
+
+/**
+ * Validate padding and clip options of element captures
+ */
+function validateCropOptions(params, { selector, selectors }) {
+  const padding = validatePadding(params.padding);
+  const clip = validateClip(params.clip);
+
+  if (clip && (selector !== undefined || selectors !== undefined)) {
+    throw new ValidationError('clip cannot be combined with selector or selectors', 'clip');
+  }
+
+  if (clip && padding) {
+    throw new ValidationError('padding cannot be combined with clip', 'padding');
+  }
+
+  return { padding, clip };
+}
+
+/**
+ * Validate list of CSS selectors
+ */
+function validateSelectors(selectors, field = 'selectors', maxSelectors = MAX_SELECTORS) {
+  if (!Array.isArray(selectors) || selectors.length === 0) {
+    throw new ValidationError(`${field} must be a non-empty array of CSS selectors`, field);
+  }
+
+  if (selectors.length > maxSelectors) {
+    throw new ValidationError(`Too many ${field} (max ${maxSelectors})`, field);
+  }
+
+  const validated = selectors.map((selector, index) => {
+    try {
+      return validateSelector(selector);
+    } catch (error) {
+      throw new ValidationError(`${field}[${index}]: ${error.message}`, field);
+    }
+  });
+
+  return [...new Set(validated)];
+}
+
+/**
+ * Validate image conversion parameters
+ * Accepts either a live `url` + `selector` or raw `html` (+ optional `css` and `selector`).
+ * `selectors` or `all` switch to multi-element capture from a single page load,
+ * and `clip` replaces the selector with a page-coordinate crop.
+ * `async` queues the render and answers with a render id to poll instead of the image,
+ * and `webhook_url` is notified when the render finishes. `cache` (default RENDER_CACHE_ENABLED) allows
+ * serving a fresh stored result for an identical request; an explicit `cache: false` sets `refreshCache` so the
+ * new render replaces the stored one.
+ */
+function validateImageParams(params) {
+  const source = validateSource(params);
+  const { selector, selectors } = params;
+  const all = validateBoolean(params.all, 'all');
+  const async = validateBoolean(params.async, 'async');
+  const webhookUrl = validateWebhookUrl(params.webhook_url);
+  const cache = validateBoolean(params.cache, 'cache', config.cache.enabled);
+  const refreshCache = params.cache !== undefined && params.cache !== null && !cache;
+  const crop = validateCropOptions(params, { selector, selectors });
+
+  if (selectors !== undefined && selectors !== null) {
+    if (selector !== undefined) {
+      throw new ValidationError('Provide either selector or selectors, not both', 'selectors');
+    }
+
+    return {
+      ...source,
+      selector: null,
+      selectors: validateSelectors(selectors),
+      all,
+      async,
+      webhookUrl,
+      cache,
+      refreshCache,
+      options: { ...validateCaptureOptions(params), ...crop }
+    };
+  }
+
+  if (all && selector === undefined) {
+    throw new ValidationError('all requires a selector or selectors', 'all');
+  }
+
+  return {
+    ...source,
+    selector: (source.html || crop.clip) && selector === undefined ? null : validateSelector(selector),
+    selectors: null,
+    all,
+    async,
+    webhookUrl,
+    cache,
+    refreshCache,
+    options: { ...validateCaptureOptions(params), ...crop }
+  };
+}
+
+/**
+ * Validate the optional webhook callback URL
+ * Unlike page URLs it is kept exactly as given, trailing slash included.
+ */
+function validateWebhookUrl(webhookUrl) {
+  if (webhookUrl === undefined || webhookUrl === null) {
+    return null;
+  }
+
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(typeof webhookUrl === 'string' ? webhookUrl.trim() : '');
+  } catch (error) {
+    throw new ValidationError('webhook_url must be a valid URL', 'webhook_url');
+  }
+
+  if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+    throw new ValidationError('webhook_url must use HTTP or HTTPS protocol', 'webhook_url');
+  }
+
+  // Callbacks are signed with WEBHOOK_SECRET, never with the API key
+  if (!config.webhooks.secret) {
+    throw new ValidationError('webhook_url is not available: the server has no WEBHOOK_SECRET configured', 'webhook_url');
+  }
+
+  return parsedUrl.href;
+}
+
+/**
+ * Validate optional boolean flag
+ */
+function validateBoolean(value, field, defaultValue = false) {
+  if (value === undefined || value === null) {
+    return defaultValue;
+  }
+
+  if (typeof value === 'boolean') {
+    return value;
+  }
+
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+
+  throw new ValidationError(`${field} must be a boolean`, field);
+}
+
+/**
+ * Validate CSS length used for PDF sizes and margins (e.g. "10mm", "1in", "96px")
+ */
+function validateCssLength(value, field) {
+  const length = typeof value === 'number' ? `${value}px` : value;
+
+  if (typeof length !== 'string' || !CSS_LENGTH_PATTERN.test(length.trim())) {
+    throw new ValidationError(`${field} must be a length in px, in, cm or mm`, field);
+  }
+
+  return length.trim();
+}
+
+/**
+ * Validate PDF margin: a single length or an object with top/right/bottom/left
+ */
+function validatePdfMargin(margin) {
+  if (margin === undefined || margin === null) {
+    return null;
+  }
+
+  if (typeof margin !== 'object') {
+    const length = validateCssLength(margin, 'margin');
+    return { top: length, right: length, bottom: length, left: length };
+  }
+
+  return ['top', 'right', 'bottom', 'left'].reduce((result, side) => {
+    if (margin[side] !== undefined) {
+      result[side] = validateCssLength(margin[side], `margin.${side}`);
+    }
+    return result;
+  }, {});
+}
+
+/**
+ * Validate PDF header/footer template
+ */
+function validatePdfTemplate(template, field) {
+  if (template === undefined || template === null || template === '') {
+    return null;
+  }
+
+  if (typeof template !== 'string') {
+    throw new ValidationError(`${field} must be a string`, field);
+  }
+
+  if (template.length > MAX_PDF_TEMPLATE_LENGTH) {
+    throw new ValidationError(`${field} is too long (max ${MAX_PDF_TEMPLATE_LENGTH} characters)`, field);
+  }
+
+  return template;
+}
+
+/**
+ * Validate PDF rendering options
+ */
+function validatePdfOptions(params) {
+  const { page_size, width, height, page_ranges } = params;
+  const options = {
+    viewport: validateViewport(params),
+    ...validateLocaleOptions(params),
+    ...validateRequestOptions(params),
+    pageSize: null,
+    width: null,
+    height: null,
+    landscape: validateBoolean(params.landscape, 'landscape'),
+    printBackground: validateBoolean(params.print_background, 'print_background', true),
+    margin: validatePdfMargin(params.margin),
+    headerTemplate: validatePdfTemplate(params.header_template, 'header_template'),
+    footerTemplate: validatePdfTemplate(params.footer_template, 'footer_template'),
+    pageRanges: null,
+    ...validateMediaOptions(params),
+    ...validateWaitOptions(params),
+    googleFonts: validateGoogleFonts(params.google_fonts),
+    fonts: validateUploadedFonts(params.fonts)
+  };
+
+  if (width !== undefined || height !== undefined) {
+    if (page_size !== undefined) {
+      throw new ValidationError('Provide either page_size or width/height, not both', 'page_size');
+    }
+
+    options.width = validateCssLength(width, 'width');
+    options.height = validateCssLength(height, 'height');
+  } else {
+    const pageSize = page_size === undefined ? config.pdf.pageSize : page_size;
+    options.pageSize = PDF_PAGE_SIZES.find(size =>
+      typeof pageSize === 'string' && size.toLowerCase() === pageSize.trim().toLowerCase()
+    );
+
+    if (!options.pageSize) {
+      throw new ValidationError(`Page size must be one of: ${PDF_PAGE_SIZES.join(', ')}`, 'page_size');
+    }
+  }
+
+  if (page_ranges !== undefined && page_ranges !== null && page_ranges !== '') {
+    if (typeof page_ranges !== 'string' || !PAGE_RANGES_PATTERN.test(page_ranges.trim())) {
+      throw new ValidationError('Page ranges must look like "1-5, 8, 11-13"', 'page_ranges');
+    }
+
+    options.pageRanges = page_ranges.trim();
+  }
+
+  return options;
+}
+
+/**
+ * Validate PDF rendering parameters
+ */
+function validatePdfParams(params) {
+  // page.pdf() is only implemented by Chromium
+  if (!config.browser.engines.includes('chromium')) {
+    throw new ValidationError(
+      `PDF rendering requires the chromium engine, which is not enabled (enabled: ${config.browser.engines.join(', ')})`,
+      'engine'
+    );
+  }
+
+  return {
+    ...validateSource(params),
+    options: validatePdfOptions(params)
+  };
+}
+
+/**
+ * Validate list of breakpoint widths
+ */
+function validateWidths(widths) {
+  if (!Array.isArray(widths) || widths.length === 0) {
+    throw new ValidationError('widths must be a non-empty array of viewport widths', 'widths');
+  }
+
+  if (widths.length > MAX_BREAKPOINTS) {
+    throw new ValidationError(`Too many breakpoints (max ${MAX_BREAKPOINTS})`, 'widths');
+  }
+
+  const values = widths.map(width => {
+    if (width === undefined || width === null) {
+      throw new ValidationError('widths must only contain numbers', 'widths');
+    }
+    return validateViewportSize(width, 'widths');
+  });
+
+  return [...new Set(values)];
+}
+
+/**
+ * Validate breakpoint sweep parameters: an image request plus a list of widths
+ */
+function validateBreakpointParams(params) {
+  if (params.selectors !== undefined || params.all !== undefined) {
+    throw new ValidationError('selectors and all are not supported for breakpoint captures', 'selectors');
+  }
+
+  if (params.async !== undefined) {
+    throw new ValidationError('async is not supported for breakpoint captures', 'async');
+  }
+
+  if (params.webhook_url !== undefined) {
+    throw new ValidationError('webhook_url is not supported for breakpoint captures', 'webhook_url');
+  }
+
+  if (params.cache !== undefined) {
+    throw new ValidationError('cache is not supported for breakpoint captures', 'cache');
+  }
+
+  return {
+    ...validateImageParams(params),
+    widths: validateWidths(params.widths)
+  };
+}
+
+/**
+ * Validate batch render parameters: a list of image requests and an optional concurrency
+ * Items are validated one by one so an invalid item only fails itself; it is returned as
+ * { index, error } instead of { index, data }.
+ */
+function validateBatchParams(params) {
+  const { items } = params;
+
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new ValidationError('items must be a non-empty array', 'items');
+  }
+
+  if (items.length > config.batch.maxItems) {
+    throw new ValidationError(`items cannot contain more than ${config.batch.maxItems} entries`, 'items');
+  }
+
+  let concurrency = config.batch.concurrency;
+  if (params.concurrency !== undefined) {
+    concurrency = Number(params.concurrency);
+    if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > config.batch.concurrency) {
+      throw new ValidationError(`concurrency must be an integer between 1 and ${config.batch.concurrency}`, 'concurrency');
+    }
+  }
+
+  return {
+    items: items.map((item, index) => {
+      try {
+        if (!item || typeof item !== 'object' || Array.isArray(item)) {
+          throw new ValidationError('Batch item must be an object', 'items');
+        }
+
+        if (item.async !== undefined || item.webhook_url !== undefined) {
+          throw new ValidationError('async and webhook_url are not supported for batch items', 'async');
+        }
+
+        return { index, data: validateImageParams(item) };
+      } catch (error) {
+        if (!(error instanceof ValidationError)) {
+          throw error;
+        }
+        return { index, error };
+      }
+    }),
+    concurrency
+  };
+}
+
+/**
+ * Validate template fields for create (all required but css/description) or update (`partial`, any subset)
+ * Fields missing from a partial update stay undefined so the previous version's value is kept.
+ */
+function validateTemplateParams(params, { partial = false } = {}) {
+  const { name, description, html, css } = params;
+  const result = {};
+
+  if (partial && [name, description, html, css].every(value => value === undefined)) {
+    throw new ValidationError('Provide at least one of name, description, html or css', 'html');
+  }
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new ValidationError('Template name is required and must be a non-empty string', 'name');
+    }
+    if (name.trim().length > MAX_TEMPLATE_NAME_LENGTH) {
+      throw new ValidationError(`Template name is too long (max ${MAX_TEMPLATE_NAME_LENGTH} characters)`, 'name');
+    }
+    result.name = name.trim();
+  }
+
+  if (description !== undefined || !partial) {
+    if (description !== undefined && description !== null && typeof description !== 'string') {
+      throw new ValidationError('description must be a string', 'description');
+    }
+    if (description && description.length > MAX_TEMPLATE_DESCRIPTION_LENGTH) {
+      throw new ValidationError(`description is too long (max ${MAX_TEMPLATE_DESCRIPTION_LENGTH} characters)`, 'description');
+    }
+    result.description = description || null;
+  }
+
+  if (html !== undefined || !partial) {
+    result.html = validateHtml(html);
+  }
+
+  if (css !== undefined || !partial) {
+    result.css = validateCss(css);
+  }
+
+  return result;
+}
+
+/**
+ * Validate a template render request: `data` for the template variables, an optional `version`
+ * and the usual image capture fields, which are validated once the template is interpolated.
+ */
+function validateTemplateRenderParams(params) {
+  const { data = {}, version, ...captureParams } = params;
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new ValidationError('data must be an object', 'data');
+  }
+
+  let selectedVersion = null;
+  if (version !== undefined && version !== null) {
+    selectedVersion = Number(version);
+    if (!Number.isInteger(selectedVersion) || selectedVersion < 1) {
+      throw new ValidationError('version must be a positive integer', 'version');
+    }
+  }
+
+  const excluded = TEMPLATE_RENDER_EXCLUDED.find(field => captureParams[field] !== undefined);
+  if (excluded) {
+    throw new ValidationError(`${excluded} is not supported for template renders`, excluded);
+  }
+
+  return {
+    data,
+    version: selectedVersion,
+    captureParams
+  };
+}
+
+/**
+ * Validate full page screenshot parameters
+ */
+function validateFullPageParams(params) {
+  for (const field of ['async', 'webhook_url', 'cache']) {
+    if (params[field] !== undefined) {
+      throw new ValidationError(`${field} is not supported for full page captures`, field);
+    }
+  }
+
+  return {
+    url: validateUrl(params.url),
+    options: validateCaptureOptions(params)
+  };
+}
+
+/**
+ * Validate parameters for endpoints that only work on a live page
+ */
+function validatePageParams(params) {
   return {
-    url: validateUrl(url),
-    selector: validateSelector(selector)
+    url: validateUrl(params.url)
   };
 }
 
@@ -139,7 +1420,40 @@ function validatePagination(query) {
 module.exports = {
   validateUrl,
   validateSelector,
+  validateHtml,
+  validateCss,
+  validateFormat,
+  validateQuality,
+  validateOmitBackground,
+  validateDeviceScale,
+  validateViewport,
+  validateWaitOptions,
+  validateGoogleFonts,
+  validateUploadedFonts,
+  validateCaptureOptions,
+  validateSource,
   validateImageParams,
+  validateWidths,
+  validateBreakpointParams,
+  validateWebhookUrl,
+  validateBatchParams,
+  validateTemplateParams,
+  validateTemplateRenderParams,
+  validateSelectors,
+  validateCleanupOptions,
+  validateMediaOptions,
+  validateDevice,
+  validateEngine,
+  validateLocaleOptions,
+  validateRequestOptions,
+  validateScriptOptions,
+  validatePadding,
+  validateClip,
+  validateFullPageParams,
+  validateBoolean,
+  validatePdfOptions,
+  validatePdfParams,
+  validatePageParams,
   createValidator,
   ValidationError,
   sanitizeString,
@@ -1,3 +1,6 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const request = require('supertest');
 const { testCredentials, generateBasicAuth } = require('./helpers/testConfig');
 
@@ -5,12 +8,22 @@ const { testCredentials, generateBasicAuth } = require('./helpers/testConfig');
 process.env.HCTI_USER_ID = testCredentials.userId;
 process.env.HCTI_API_KEY = testCredentials.apiKey;
 process.env.NODE_ENV = 'test';
+// Async render records go to a throwaway directory instead of ./renders
+process.env.RENDERS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'api-renders-'));
 
 const app = require('../src/server');
+const { deleteImage } = require('../src/utils/fileManager');
+const screenshotService = require('../src/services/screenshot');
+const { renderStore } = require('../src/services/renderStore');
+const { webhookDispatcher } = require('../src/services/webhooks');
 
 describe('API Tests', () => {
   const validAuth = generateBasicAuth(testCredentials.userId, testCredentials.apiKey);
 
+  afterAll(async () => {
+    await fs.promises.rm(process.env.RENDERS_DIR, { recursive: true, force: true });
+  });
+
   test('should return API root information', async () => {
     const response = await request(app)
       .get('/')
@@ -26,6 +39,7 @@ describe('API Tests', () => {
       .expect(200);
     
     expect(response.body).toHaveProperty('status', 'healthy');
+    expect(response.body.browser).toMatchObject({ restarts: expect.any(Number), crashes: expect.any(Number) });
   });
 
   test('should process image conversion with valid auth', async () => {
@@ -57,4 +71,85 @@ describe('API Tests', () => {
     
     expect(response.body).toHaveProperty('message');
   });
-});
\ No newline at end of file
+
+  test('should return 404 for unknown renders', async () => {
+    await request(app)
+      .get('/v1/renders/00000000-0000-4000-8000-000000000000')
+      .set('Authorization', `Basic ${validAuth}`)
+      .expect(404);
+
+    await request(app)
+      .get('/v1/renders/not-a-render-id')
+      .set('Authorization', `Basic ${validAuth}`)
+      .expect(400);
+  });
+
+  test('should report invalid batch items individually', async () => {
+    const response = await request(app)
+      .post('/v1/image/batch')
+      .set('Authorization', `Basic ${validAuth}`)
+      .send({ items: [{ url: 'not-a-url', selector: 'h1' }, { selector: 'h1' }] })
+      .expect(200);
+
+    expect(response.body).toMatchObject({ total: 2, succeeded: 0, failed: 2 });
+    expect(response.body.results.map(result => [result.index, result.status])).toEqual([[0, 400], [1, 400]]);
+  });
+
+  test('should reject invalid cookies with 400 on full page and breakpoint routes', async () => {
+    const cookieError = () => new Error('Invalid cookies: Cookie should have a url or a domain/path pair');
+    const captureFullPage = jest.spyOn(screenshotService, 'captureFullPage').mockRejectedValue(cookieError());
+    const captureBreakpoints = jest.spyOn(screenshotService, 'captureBreakpoints').mockRejectedValue(cookieError());
+
+    try {
+      for (const [path, body] of [
+        ['/v1/image/full-page', { url: 'https://example.com' }],
+        ['/v1/image/breakpoints', { url: 'https://example.com', selector: 'h1', widths: [320, 1024] }]
+      ]) {
+        const response = await request(app)
+          .post(path)
+          .set('Authorization', `Basic ${validAuth}`)
+          .send({ ...body, cookies: [{ name: 'session', value: 'abc' }] })
+          .expect(400);
+
+        expect(response.body.message).toMatch(/^Invalid cookies/);
+      }
+    } finally {
+      captureFullPage.mockRestore();
+      captureBreakpoints.mockRestore();
+    }
+  });
+
+  test('should send one webhook when recording an async render fails', async () => {
+    const pngBuffer = Buffer.from('89504e470d0a1a0a' + '0'.repeat(100), 'hex');
+    const captureElement = jest.spyOn(screenshotService, 'captureElement').mockResolvedValue(pngBuffer);
+    const dispatch = jest.spyOn(webhookDispatcher, 'dispatch').mockReturnValue({ id: 'delivery-1' });
+    const update = renderStore.update.bind(renderStore);
+    const storeUpdate = jest.spyOn(renderStore, 'update')
+      .mockImplementation((id, changes) => changes.completedAt ? Promise.reject(new Error('disk full')) : update(id, changes));
+
+    try {
+      await request(app)
+        .post('/v1/image')
+        .set('Authorization', `Basic ${validAuth}`)
+        .send({ url: 'https://example.com', selector: 'h1', async: true, webhook_url: 'https://hooks.example.com/renders' })
+        .expect(202);
+
+      for (let attempt = 0; attempt < 50 && storeUpdate.mock.calls.length < 2; attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(dispatch).toHaveBeenCalledTimes(1);
+      expect(dispatch.mock.calls[0][1]).toMatchObject({ event: 'render.succeeded' });
+    } finally {
+      const imageUrl = dispatch.mock.calls[0]?.[1].url;
+      if (imageUrl) {
+        await deleteImage(path.basename(imageUrl));
+      }
+
+      captureElement.mockRestore();
+      dispatch.mockRestore();
+      storeUpdate.mockRestore();
+    }
+  });
+});
@@ -3,7 +3,10 @@ const {
   deleteImage,
   imageExists,
   generateFilename,
-  cleanOldImages
+  cleanOldImages,
+  validateImage,
+  getContentType,
+  getImageDimensions
 } = require('../src/utils/fileManager');
 
 // Mock image buffer
@@ -81,4 +84,35 @@ describe('File Manager Tests', () => {
     expect(result).toHaveProperty('deletedCount');
     expect(typeof result.deletedCount).toBe('number');
   });
-});
\ No newline at end of file
+
+  test('should use the extension of the requested format', () => {
+    expect(generateFilename('test-url', 'body', 'jpeg')).toMatch(/\.jpg$/);
+    expect(generateFilename('test-url', 'body', 'webp')).toMatch(/\.webp$/);
+    expect(getContentType('test.jpg')).toBe('image/jpeg');
+    expect(getContentType('test.webp')).toBe('image/webp');
+  });
+
+  test('should validate image signatures per format', async () => {
+    const jpegFile = 'test-validate.jpg';
+    const mismatchFile = 'test-validate-mismatch.webp';
+    testFiles.push(jpegFile, mismatchFile);
+    
+    await saveImage(Buffer.from('ffd8ffe0' + '0'.repeat(100), 'hex'), jpegFile);
+    await saveImage(mockImageBuffer, mismatchFile);
+    
+    expect(await validateImage(jpegFile)).toMatchObject({ valid: true, format: 'jpeg' });
+    expect(await validateImage(mismatchFile)).toMatchObject({
+      valid: false,
+      reason: 'Invalid WEBP signature'
+    });
+  });
+
+  test('should read pixel dimensions from image headers', () => {
+    const png = Buffer.from('89504e470d0a1a0a0000000d49484452000002800000015e', 'hex');
+    const jpeg = Buffer.from('ffd8ffe000104a46494600010100000100010000ffc0001108003c005003012200021101031101', 'hex');
+    
+    expect(getImageDimensions(png)).toEqual({ width: 640, height: 350 });
+    expect(getImageDimensions(jpeg)).toEqual({ width: 80, height: 60 });
+    expect(getImageDimensions(Buffer.from('not an image'))).toBeNull();
+  });
+});
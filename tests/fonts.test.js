@@ -0,0 +1,76 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const config = require('../src/config');
+const {
+  detectFontFormat,
+  buildGoogleFontsUrl,
+  resolveFonts
+} = require('../src/utils/fonts');
+
+// Minimal buffers carrying only the font signatures
+const woff2Buffer = Buffer.concat([Buffer.from('wOF2'), Buffer.alloc(32)]);
+const ttfBuffer = Buffer.concat([Buffer.from([0x00, 0x01, 0x00, 0x00]), Buffer.alloc(32)]);
+
+describe('Fonts Tests', () => {
+  const originalConfig = { ...config.fonts };
+  let fontsDir;
+
+  beforeAll(async () => {
+    fontsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'renderize-fonts-'));
+    await fs.writeFile(path.join(fontsDir, 'Roboto Mono-700.woff2'), woff2Buffer);
+  });
+
+  afterEach(() => {
+    Object.assign(config.fonts, originalConfig);
+  });
+
+  afterAll(async () => {
+    await fs.rm(fontsDir, { recursive: true, force: true });
+  });
+
+  test('should detect font formats from signatures', () => {
+    expect(detectFontFormat(woff2Buffer)).toBe('woff2');
+    expect(detectFontFormat(ttfBuffer)).toBe('truetype');
+    expect(detectFontFormat(Buffer.from('not a font'))).toBeNull();
+  });
+
+  test('should build Google Fonts stylesheet URL', () => {
+    const url = buildGoogleFontsUrl([
+      { family: 'Open Sans', weights: [700, 400], italic: false },
+      { family: 'Inter', weights: [400], italic: true }
+    ]);
+
+    expect(url).toBe(
+      'https://fonts.googleapis.com/css2?family=Open+Sans:wght@400;700' +
+      '&family=Inter:ital,wght@0,400;1,400&display=block'
+    );
+  });
+
+  test('should prefer local font files over Google Fonts', async () => {
+    config.fonts.dir = fontsDir;
+
+    const result = await resolveFonts({
+      googleFonts: [
+        { family: 'Roboto Mono', weights: [700], italic: false },
+        { family: 'Inter', weights: [400], italic: false }
+      ]
+    });
+
+    expect(result.css).toContain('font-family: "Roboto Mono"');
+    expect(result.css).toContain('format("woff2")');
+    expect(result.stylesheetUrls).toEqual([
+      'https://fonts.googleapis.com/css2?family=Inter:wght@400&display=block'
+    ]);
+    expect(result.descriptors).toEqual(['normal 700 16px "Roboto Mono"', 'normal 400 16px "Inter"']);
+  });
+
+  test('should fail for missing fonts when Google Fonts is disabled', async () => {
+    config.fonts.dir = fontsDir;
+    config.fonts.googleFontsEnabled = false;
+
+    await expect(resolveFonts({
+      googleFonts: [{ family: 'Inter', weights: [400], italic: false }]
+    })).rejects.toThrow('Font not available');
+  });
+});
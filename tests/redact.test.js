@@ -0,0 +1,36 @@
+const logger = require('../src/utils/logger');
+const { redactError, collectSecrets } = require('../src/utils/redact');
+const { validateImageParams } = require('../src/utils/validation');
+
+describe('Redaction Tests', () => {
+  const { options } = validateImageParams({
+    url: 'https://staging.example.com/dashboard',
+    selector: 'main',
+    headers: { 'X-Api-Token': 'token-123456' },
+    cookies: [{ name: 'session', value: 'session-abcdef' }],
+    http_credentials: { username: 'qa', password: 'hunter22' }
+  });
+
+  test('should collect header, cookie and password values', () => {
+    expect(collectSecrets(options)).toEqual(['token-123456', 'session-abcdef', 'hunter22']);
+  });
+
+  test('should scrub secrets from error messages', () => {
+    const error = redactError(new Error('Request with token-123456 and hunter22 failed'), options);
+
+    expect(error.message).toBe('Request with [REDACTED] and [REDACTED] failed');
+    expect(error.stack).not.toContain('token-123456');
+  });
+
+  test('should hide credential keys in log output', () => {
+    const formatted = logger.formatMessage('info', 'Capture', {
+      url: 'https://staging.example.com',
+      headers: options.headers,
+      options: { cookies: options.cookies, httpCredentials: options.httpCredentials }
+    });
+
+    expect(formatted).toContain('"headers":"[REDACTED]"');
+    expect(formatted).not.toContain('session-abcdef');
+    expect(formatted).not.toContain('hunter22');
+  });
+});
@@ -0,0 +1,117 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { RenderCache, renderCache } = require('../src/services/renderCache');
+const { renderImage } = require('../src/services/imageRenderer');
+const screenshotService = require('../src/services/screenshot');
+const { saveImage, deleteImage, generateFilename } = require('../src/utils/fileManager');
+const { validateImageParams } = require('../src/utils/validation');
+
+// Mock image buffer
+const mockImageBuffer = Buffer.from('89504e470d0a1a0a' + '0'.repeat(100), 'hex');
+
+describe('Render Cache Tests', () => {
+  let dir;
+  let cache;
+  const testFiles = [];
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'render-cache-'));
+    cache = new RenderCache({ dir, ttlSeconds: 60 });
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+    for (const filename of testFiles) {
+      await deleteImage(filename).catch(() => {});
+    }
+    testFiles.length = 0;
+  });
+
+  const saveTestImage = async () => {
+    const filename = generateFilename('https://example.com', 'h1', 'png');
+    testFiles.push(filename);
+    return saveImage(mockImageBuffer, filename);
+  };
+
+  test('should derive the same key for equivalent requests', () => {
+    const first = validateImageParams({ url: 'https://example.com', selector: 'h1', viewport_width: 800, cache: true });
+    const second = validateImageParams({ cache: true, viewport_width: '800', selector: 'h1', url: 'https://example.com/' });
+    const other = validateImageParams({ url: 'https://example.com', selector: 'h1', viewport_width: 801, cache: true });
+
+    expect(cache.getKey(first)).toMatch(/^[0-9a-f]{64}$/);
+    expect(cache.getKey(second)).toBe(cache.getKey(first));
+    expect(cache.getKey(other)).not.toBe(cache.getKey(first));
+  });
+
+  test('should hash large uploaded fonts by digest', () => {
+    const font = (fill) => {
+      const buffer = Buffer.alloc(2 * 1024 * 1024, fill);
+      buffer.write('wOF2', 0, 'ascii');
+      return { family: 'Brand', data: buffer.toString('base64') };
+    };
+    const params = { html: '<p>Hi</p>', cache: true };
+
+    const startTime = Date.now();
+    const key = cache.getKey(validateImageParams({ ...params, fonts: [font(1)] }));
+
+    expect(Date.now() - startTime).toBeLessThan(500);
+    expect(key).toMatch(/^[0-9a-f]{64}$/);
+    expect(cache.getKey(validateImageParams({ ...params, fonts: [font(1)] }))).toBe(key);
+    expect(cache.getKey(validateImageParams({ ...params, fonts: [font(2)] }))).not.toBe(key);
+  });
+
+  test('should not cache requests carrying credentials', () => {
+    const params = { url: 'https://example.com', selector: 'h1' };
+
+    expect(cache.getKey(validateImageParams({ ...params, headers: { 'X-Token': 'secret' } }))).toBeNull();
+    expect(cache.getKey(validateImageParams({ ...params, cookies: [{ name: 'session', value: 'secret' }] }))).toBeNull();
+    expect(cache.getKey(validateImageParams({ ...params, http_credentials: { username: 'u', password: 'secret' } })))
+      .toBeNull();
+  });
+
+  test('should return stored bodies with urls for the current host', async () => {
+    const saved = await saveTestImage();
+    const key = 'a'.repeat(64);
+
+    await cache.set(key, { url: 'http://old-host/images/x.png', filename: saved.filename, size: saved.size, requestId: 'req-1', duration: '10ms' });
+
+    const body = await cache.get(key, 'http://new-host');
+    expect(body).toEqual({ url: `http://new-host/images/${saved.filename}`, filename: saved.filename, size: saved.size });
+  });
+
+  test('should miss when the entry expired or its image is gone', async () => {
+    const saved = await saveTestImage();
+    const key = 'b'.repeat(64);
+
+    await new RenderCache({ dir, ttlSeconds: 0 }).set(key, { filename: saved.filename });
+    expect(await cache.get(key)).toBeNull();
+    expect(await cache.cleanup()).toEqual({ deletedCount: 1 });
+
+    await cache.set(key, { filename: saved.filename });
+    expect(await cache.get(key)).not.toBeNull();
+
+    await deleteImage(saved.filename);
+    expect(await cache.get(key)).toBeNull();
+  });
+
+  test('should replace the stored result when cache is false', async () => {
+    const captureHtml = jest.spyOn(screenshotService, 'captureHtml').mockResolvedValue(mockImageBuffer);
+    const get = jest.spyOn(renderCache, 'get');
+    const set = jest.spyOn(renderCache, 'set').mockResolvedValue();
+
+    try {
+      const params = { html: '<p>Hi</p>' };
+      const result = await renderImage(validateImageParams({ ...params, cache: false }), { requestId: 'req-1' });
+      testFiles.push(result.body.filename);
+
+      expect(result.cache).toBe('REFRESH');
+      expect(get).not.toHaveBeenCalled();
+      expect(set).toHaveBeenCalledWith(cache.getKey(validateImageParams({ ...params, cache: true })), result.body);
+    } finally {
+      captureHtml.mockRestore();
+      get.mockRestore();
+      set.mockRestore();
+    }
+  });
+});
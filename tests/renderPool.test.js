@@ -0,0 +1,80 @@
+const { RenderPool } = require('../src/services/renderPool');
+const { QueueError } = require('../src/utils/errors');
+
+describe('Render Pool Tests', () => {
+  const createPool = (options = {}) => new RenderPool({
+    maxPages: 1,
+    maxQueue: 1,
+    queueTimeout: 50,
+    retryAfter: 3,
+    ...options
+  });
+
+  test('should hand slots to queued requests in FIFO order', async () => {
+    const pool = createPool({ maxQueue: 2 });
+    const order = [];
+
+    const release = await pool.acquire();
+    const first = pool.acquire().then(next => { order.push('first'); return next; });
+    const second = pool.acquire().then(next => { order.push('second'); return next; });
+
+    expect(pool.getStats()).toMatchObject({ activePages: 1, queueDepth: 2 });
+
+    release();
+    release(); // Releasing twice must not free a second slot
+    (await first)();
+    (await second)();
+
+    expect(order).toEqual(['first', 'second']);
+    expect(pool.getStats()).toMatchObject({ activePages: 0, queueDepth: 0, acquired: 3 });
+  });
+
+  test('should reject with QUEUE_FULL when the queue is full', async () => {
+    const pool = createPool();
+    const release = await pool.acquire();
+    const queued = pool.acquire();
+
+    await expect(pool.acquire()).rejects.toMatchObject({ code: 'QUEUE_FULL', retryAfter: 3 });
+    expect(pool.getStats().rejected).toBe(1);
+
+    release();
+    (await queued)();
+  });
+
+  test('should time out queued requests', async () => {
+    const pool = createPool();
+    const release = await pool.acquire();
+
+    const error = await pool.acquire().catch(err => err);
+
+    expect(error).toBeInstanceOf(QueueError);
+    expect(error.code).toBe('QUEUE_TIMEOUT');
+    expect(pool.getStats()).toMatchObject({ queueDepth: 0, timedOut: 1 });
+
+    release();
+    expect(pool.getStats().activePages).toBe(0);
+  });
+
+  test('should keep background requests queued until a slot is free', async () => {
+    const pool = createPool();
+    const order = [];
+
+    const release = await pool.acquire();
+    const background = [1, 2].map(n => pool.acquire({ background: true }).then(next => { order.push(`background-${n}`); return next; }));
+    const foreground = pool.acquire().catch(error => error);
+
+    // Past the queue timeout and beyond maxQueue, background requests are still waiting
+    await new Promise(resolve => setTimeout(resolve, 80));
+    expect(pool.getStats()).toMatchObject({ queueDepth: 0, backgroundQueueDepth: 2, rejected: 0, timedOut: 1 });
+    expect(await foreground).toMatchObject({ code: 'QUEUE_TIMEOUT' });
+
+    const waiting = pool.acquire();
+    release();
+    (await waiting)();
+    (await background[0])();
+    (await background[1])();
+
+    expect(order).toEqual(['background-1', 'background-2']);
+    expect(pool.getStats()).toMatchObject({ activePages: 0, backgroundQueueDepth: 0 });
+  });
+});
@@ -0,0 +1,65 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { RenderStore } = require('../src/services/renderStore');
+
+describe('Render Store Tests', () => {
+  let dir;
+  let store;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'renders-'));
+    store = new RenderStore(dir);
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  const createRecord = () => store.create({
+    requestId: 'req-1',
+    user: 'user-1',
+    request: { source: 'url', url: 'https://example.com', selector: 'h1', selectors: null, format: 'png', engine: 'chromium' }
+  });
+
+  test('should persist and update render records', async () => {
+    const record = await createRecord();
+
+    expect(store.isValidId(record.id)).toBe(true);
+    expect(await store.get(record.id)).toMatchObject({ status: 'queued', requestId: 'req-1' });
+
+    await store.update(record.id, { status: 'succeeded', result: { url: 'https://example.com/images/a.png' } });
+
+    const reloaded = await new RenderStore(dir).get(record.id);
+    expect(reloaded).toMatchObject({ status: 'succeeded', result: { url: 'https://example.com/images/a.png' } });
+    expect((await fs.readdir(dir)).filter(file => file.endsWith('.tmp'))).toEqual([]);
+  });
+
+  test('should return null for unknown or malformed ids', async () => {
+    expect(await store.get('00000000-0000-4000-8000-000000000000')).toBeNull();
+    expect(await store.get('../etc/passwd')).toBeNull();
+    await expect(store.update('00000000-0000-4000-8000-000000000000', {})).rejects.toThrow('Render not found');
+  });
+
+  test('should report renders left running by a previous process as failed', async () => {
+    const record = await createRecord();
+    const stale = { ...record, status: 'running', bootId: 'previous-boot' };
+    await fs.writeFile(path.join(dir, `${record.id}.json`), JSON.stringify(stale));
+
+    expect(await store.get(record.id)).toMatchObject({
+      status: 'failed',
+      error: { message: 'Render interrupted by server restart' }
+    });
+  });
+
+  test('should delete records older than the max age', async () => {
+    const old = await createRecord();
+    const recent = await createRecord();
+    const past = new Date(Date.now() - 60 * 60 * 1000);
+    await fs.utimes(path.join(dir, `${old.id}.json`), past, past);
+
+    expect(await store.cleanup(30 * 60 * 1000)).toEqual({ deletedCount: 1 });
+    expect(await store.get(old.id)).toBeNull();
+    expect(await store.get(recent.id)).not.toBeNull();
+  });
+});
@@ -0,0 +1,156 @@
+const config = require('../src/config');
+const screenshotService = require('../src/services/screenshot');
+const { renderPool } = require('../src/services/renderPool');
+
+describe('Screenshot Service Tests', () => {
+  const originalRestart = { ...config.browser.restart };
+
+  afterEach(() => {
+    Object.assign(config.browser.restart, originalRestart);
+    screenshotService.engines.clear();
+  });
+
+  test('should record unexpected browser disconnects', () => {
+    // No relaunch attempts, Chromium is not needed for this test
+    config.browser.restart.maxAttempts = 0;
+
+    const browser = { isConnected: () => false };
+    screenshotService.getEngine('chromium').browser = browser;
+
+    screenshotService.handleDisconnect('chromium', browser);
+
+    expect(screenshotService.getStatus()).toMatchObject({
+      initialized: false,
+      crashes: 1,
+      restarts: 0,
+      engines: { chromium: { launched: false, crashes: 1 } }
+    });
+    expect(screenshotService.getStatus().lastCrashAt).toEqual(expect.any(String));
+    expect(screenshotService.isBrowserCrash({ browser: () => browser })).toBe(true);
+  });
+
+  test('should ignore disconnects of a replaced browser', () => {
+    const browser = { isConnected: () => true, version: () => 'test' };
+    screenshotService.getEngine('chromium').browser = browser;
+
+    screenshotService.handleDisconnect('chromium', { isConnected: () => false });
+
+    expect(screenshotService.getStatus()).toMatchObject({ initialized: true, connected: true, crashes: 0 });
+    expect(screenshotService.isBrowserCrash({ browser: () => browser })).toBe(false);
+  });
+
+  test('should refuse to launch engines that are not enabled', async () => {
+    await expect(screenshotService.initialize('webkit')).rejects.toThrow('engine webkit is not enabled');
+  });
+
+  test('should only send headers and credentials to the target origin', async () => {
+    const routes = [];
+    const context = { route: async (matcher, handler) => routes.push({ matcher, handler }) };
+    const newPooledContext = jest.spyOn(screenshotService, 'newPooledContext').mockResolvedValue(context);
+
+    try {
+      await screenshotService.createContext({
+        headers: { 'X-Preview-Token': 'token-123' },
+        httpCredentials: { username: 'qa', password: 'secret' }
+      }, 'https://staging.example.com/dashboard');
+
+      const contextOptions = newPooledContext.mock.calls[0][0];
+      expect(contextOptions.extraHTTPHeaders).toBeUndefined();
+      expect(contextOptions.httpCredentials).toEqual({
+        username: 'qa',
+        password: 'secret',
+        origin: 'https://staging.example.com'
+      });
+
+      const [{ matcher, handler }] = routes;
+      expect(matcher(new URL('https://staging.example.com/api/data'))).toBe(true);
+      expect(matcher(new URL('https://cdn.example.net/app.js'))).toBe(false);
+
+      const route = {
+        request: () => ({ headers: () => ({ accept: '*/*' }) }),
+        continue: jest.fn()
+      };
+      handler(route);
+      expect(route.continue).toHaveBeenCalledWith({ headers: { accept: '*/*', 'X-Preview-Token': 'token-123' } });
+    } finally {
+      newPooledContext.mockRestore();
+    }
+  });
+
+  test('should reject clips outside the page', async () => {
+    const page = { evaluate: jest.fn().mockResolvedValue({ width: 800, height: 600 }) };
+    const takeScreenshot = jest.spyOn(screenshotService, 'takeScreenshot').mockResolvedValue(Buffer.from('png'));
+
+    try {
+      await expect(screenshotService.captureSelection(page, null, { clip: { x: 0, y: 900, width: 100, height: 100 } }))
+        .rejects.toThrow('Invalid clip: 100x100 at (0, 900) is outside the 800x600 page');
+      expect(takeScreenshot).not.toHaveBeenCalled();
+
+      await screenshotService.captureSelection(page, null, { clip: { x: 700, y: 500, width: 200, height: 200 } });
+      expect(takeScreenshot).toHaveBeenCalledTimes(1);
+    } finally {
+      takeScreenshot.mockRestore();
+    }
+  });
+
+  test('should time out init_script that blocks the page load', async () => {
+    // A blocked main thread answers neither the load nor the probes
+    const page = { setContent: () => new Promise(() => {}), evaluate: () => new Promise(() => {}) };
+
+    const error = await screenshotService.loadSource(page, { html: '<p>Hi</p>' }, {
+      initScript: 'while (true) {}',
+      scriptTimeout: 100
+    }).catch(error => error);
+
+    expect(error.message).toBe('Script init_script timed out after 100ms');
+    expect(error.script).toEqual({ source: 'init_script', message: 'timed out after 100ms', timedOut: true });
+  });
+
+  test('should not blame init_script for a slow page load', async () => {
+    const page = {
+      setContent: () => new Promise(resolve => setTimeout(resolve, 400)),
+      evaluate: jest.fn().mockResolvedValue(true)
+    };
+
+    await screenshotService.loadSource(page, { html: '<p>Hi</p>' }, { initScript: 'window.flag = 1;', scriptTimeout: 100 });
+
+    expect(page.evaluate).toHaveBeenCalled();
+  });
+
+  test('should leave page scripts blocking after init_script to the navigation timeout', async () => {
+    let loaded;
+    const page = {
+      setContent: () => new Promise(resolve => {
+        loaded = resolve;
+      }),
+      evaluate: jest.fn().mockResolvedValueOnce(true).mockReturnValue(new Promise(() => {}))
+    };
+
+    const load = screenshotService.loadSource(page, { html: '<p>Hi</p>' }, { initScript: 'window.flag = 1;', scriptTimeout: 100 });
+    await new Promise(resolve => setTimeout(resolve, 350));
+    loaded();
+
+    await expect(load).resolves.toBeUndefined();
+  });
+
+  test('should take background pool slots and report when one is granted', async () => {
+    const closeHandlers = [];
+    const browser = { newContext: async () => ({ once: (event, handler) => closeHandlers.push(handler) }) };
+    const initialize = jest.spyOn(screenshotService, 'initialize').mockResolvedValue(browser);
+    const acquire = jest.spyOn(renderPool, 'acquire');
+    const onAcquire = jest.fn();
+
+    try {
+      await screenshotService.newPooledContext({}, 'chromium', { background: true, onAcquire });
+
+      expect(acquire).toHaveBeenCalledWith({ background: true });
+      expect(onAcquire).toHaveBeenCalledTimes(1);
+    } finally {
+      closeHandlers.forEach(release => release());
+      initialize.mockRestore();
+      acquire.mockRestore();
+    }
+
+    expect(renderPool.getStats().activePages).toBe(0);
+  });
+});
@@ -0,0 +1,123 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { TemplateStore } = require('../src/services/templateStore');
+const { interpolateTemplate, listVariables } = require('../src/utils/templates');
+const { validateTemplateParams, validateTemplateRenderParams } = require('../src/utils/validation');
+
+describe('Template Tests', () => {
+  describe('interpolation', () => {
+    test('should escape values by default and keep raw values in triple braces', () => {
+      const { output, missing } = interpolateTemplate(
+        '<h1 title="{{ name }}">{{name}}</h1><div>{{{ badge }}}</div>',
+        { name: '<Ada "Lovelace">', badge: '<b>Gold</b>' }
+      );
+
+      expect(output).toBe('<h1 title="&lt;Ada &quot;Lovelace&quot;&gt;">&lt;Ada &quot;Lovelace&quot;&gt;</h1><div><b>Gold</b></div>');
+      expect(missing).toEqual([]);
+    });
+
+    test('should resolve nested values and report missing ones', () => {
+      const { output, missing } = interpolateTemplate(
+        '{{ user.name }} scored {{ score }} in {{ course.title }} ({{ user.name }})',
+        { user: { name: 'Ada' }, score: 0, course: null }
+      );
+
+      expect(output).toBe('Ada scored 0 in  (Ada)');
+      expect(missing).toEqual(['course.title']);
+      expect(listVariables('{{ a }} {{{ b.c }}} {{a}}')).toEqual(['a', 'b.c']);
+    });
+
+    test('should not read inherited properties', () => {
+      expect(interpolateTemplate('{{ constructor }}', {}).missing).toEqual(['constructor']);
+    });
+  });
+
+  describe('validation', () => {
+    test('should validate template fields', () => {
+      expect(validateTemplateParams({ name: ' Certificate ', html: '<h1>{{ name }}</h1>' }))
+        .toEqual({ name: 'Certificate', description: null, html: '<h1>{{ name }}</h1>', css: null });
+      expect(validateTemplateParams({ css: 'h1 { color: red; }' }, { partial: true }))
+        .toEqual({ css: 'h1 { color: red; }' });
+
+      expect(() => validateTemplateParams({ html: '<h1></h1>' })).toThrow('Template name is required');
+      expect(() => validateTemplateParams({ name: 'Card' })).toThrow('HTML is required');
+      expect(() => validateTemplateParams({}, { partial: true })).toThrow('Provide at least one');
+    });
+
+    test('should validate template render requests', () => {
+      expect(validateTemplateRenderParams({ data: { name: 'Ada' }, version: '2', format: 'jpeg' }))
+        .toEqual({ data: { name: 'Ada' }, version: 2, captureParams: { format: 'jpeg' } });
+
+      expect(() => validateTemplateRenderParams({ data: [] })).toThrow('data must be an object');
+      expect(() => validateTemplateRenderParams({ version: 0 })).toThrow('version must be a positive integer');
+      expect(() => validateTemplateRenderParams({ html: '<p></p>' })).toThrow('html is not supported');
+    });
+  });
+
+  describe('store', () => {
+    let dir;
+    let store;
+
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'templates-'));
+      store = new TemplateStore(dir);
+    });
+
+    afterEach(async () => {
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    test('should keep every version of a template', async () => {
+      const created = await store.create({ name: 'Card', description: null, html: '<h1>{{ name }}</h1>', css: 'h1 {}' });
+
+      await store.update(created.id, { html: '<h2>{{ name }}</h2>' });
+
+      const latest = await store.get(created.id);
+      expect(latest).toMatchObject({ name: 'Card', version: 2, latestVersion: 2, html: '<h2>{{ name }}</h2>', css: 'h1 {}' });
+      expect(latest.versions.map(entry => entry.version)).toEqual([1, 2]);
+      expect(latest.variables).toEqual(['name']);
+
+      expect(await store.get(created.id, 1)).toMatchObject({ version: 1, latestVersion: 2, html: '<h1>{{ name }}</h1>' });
+      expect(await store.get(created.id, 3)).toBeNull();
+    });
+
+    test('should keep every version from concurrent updates', async () => {
+      const created = await store.create({ name: 'Card', description: null, html: '<p>0</p>', css: null });
+
+      await Promise.all([1, 2, 3, 4, 5].map(n => store.update(created.id, { html: `<p>${n}</p>` })));
+
+      const latest = await store.get(created.id);
+      expect(latest.version).toBe(6);
+      expect(latest.versions.map(entry => entry.version)).toEqual([1, 2, 3, 4, 5, 6]);
+      expect((await fs.readdir(path.join(dir, created.id))).filter(file => file.endsWith('.tmp'))).toEqual([]);
+    });
+
+    test('should drop the oldest versions beyond the cap', async () => {
+      store = new TemplateStore(dir, 2);
+      const created = await store.create({ name: 'Card', description: null, html: '<p>1</p>', css: null });
+
+      await store.update(created.id, { html: '<p>2</p>' });
+      await store.update(created.id, { html: '<p>3</p>' });
+
+      expect((await store.get(created.id)).versions.map(entry => entry.version)).toEqual([2, 3]);
+      expect(await store.get(created.id, 1)).toBeNull();
+      expect(await store.get(created.id, 2)).toMatchObject({ html: '<p>2</p>' });
+      expect((await fs.readdir(path.join(dir, created.id))).sort()).toEqual(['template.json', 'v2.json', 'v3.json']);
+    });
+
+    test('should list and delete templates', async () => {
+      const first = await store.create({ name: 'First', description: null, html: '<p>1</p>', css: null });
+      const second = await store.create({ name: 'Second', description: 'Share card', html: '<p>2</p>', css: null });
+      await new Promise(resolve => setTimeout(resolve, 5));
+      await store.update(first.id, { name: 'First renamed' });
+
+      expect((await store.list()).map(template => template.name)).toEqual(['First renamed', 'Second']);
+
+      expect(await store.delete(second.id)).toBe(true);
+      expect(await store.delete(second.id)).toBe(false);
+      expect(await store.get(second.id)).toBeNull();
+      expect(await store.get('../../etc/passwd')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,481 @@
+const config = require('../src/config');
+const {
+  validateImageParams,
+  validatePageParams,
+  validatePdfParams,
+  validateBreakpointParams,
+  validateFullPageParams,
+  validateBatchParams,
+  ValidationError
+} = require('../src/utils/validation');
+
+describe('Validation Tests', () => {
+  test('should accept url and selector', () => {
+    const result = validateImageParams({ url: 'https://example.com/', selector: 'h1' });
+
+    expect(result).toMatchObject({ url: 'https://example.com', selector: 'h1' });
+  });
+
+  test('should accept raw html with optional css and selector', () => {
+    const result = validateImageParams({
+      html: '<div class="card">Hi</div>',
+      css: '.card { color: red }'
+    });
+
+    expect(result).toMatchObject({
+      html: '<div class="card">Hi</div>',
+      css: '.card { color: red }',
+      selector: null
+    });
+  });
+
+  test('should reject url and html together', () => {
+    expect(() => validateImageParams({
+      url: 'https://example.com',
+      html: '<p>Hi</p>'
+    })).toThrow(ValidationError);
+  });
+
+  test('should reject empty html', () => {
+    expect(() => validateImageParams({ html: '   ' })).toThrow('HTML is required');
+  });
+
+  test('should only require url for page endpoints', () => {
+    expect(validatePageParams({ url: 'https://example.com' })).toEqual({ url: 'https://example.com' });
+    expect(() => validatePageParams({ html: '<p>Hi</p>' })).toThrow(ValidationError);
+  });
+
+  test('should default to png without quality', () => {
+    const { options } = validateImageParams({ url: 'https://example.com', selector: 'h1' });
+
+    expect(options).toMatchObject({ format: 'png', quality: null, omitBackground: false, deviceScale: 1 });
+  });
+
+  test('should accept jpeg and webp with quality', () => {
+    const jpeg = validateImageParams({ url: 'https://example.com', selector: 'h1', format: 'jpg', quality: 70 });
+    const webp = validateImageParams({ url: 'https://example.com', selector: 'h1', format: 'webp' });
+
+    expect(jpeg.options).toMatchObject({ format: 'jpeg', quality: 70 });
+    expect(webp.options.format).toBe('webp');
+    expect(webp.options.quality).toBeGreaterThan(0);
+  });
+
+  test('should reject unknown formats and png quality', () => {
+    expect(() => validateImageParams({ url: 'https://example.com', selector: 'h1', format: 'gif' }))
+      .toThrow('Format must be one of');
+    expect(() => validateImageParams({ url: 'https://example.com', selector: 'h1', quality: 80 }))
+      .toThrow('Quality is only supported');
+    expect(() => validateImageParams({ url: 'https://example.com', selector: 'h1', format: 'jpeg', quality: 101 }))
+      .toThrow('Quality must be an integer');
+  });
+
+  test('should normalize pdf options', () => {
+    const { options } = validatePdfParams({
+      url: 'https://example.com',
+      page_size: 'letter',
+      margin: '10mm',
+      page_ranges: '1-3, 5'
+    });
+
+    expect(options).toMatchObject({
+      pageSize: 'Letter',
+      printBackground: true,
+      landscape: false,
+      margin: { top: '10mm', right: '10mm', bottom: '10mm', left: '10mm' },
+      pageRanges: '1-3, 5'
+    });
+  });
+
+  test('should reject invalid pdf options', () => {
+    expect(() => validatePdfParams({ url: 'https://example.com', page_size: 'B5' }))
+      .toThrow('Page size must be one of');
+    expect(() => validatePdfParams({ url: 'https://example.com', width: '210mm' }))
+      .toThrow('height must be a length');
+    expect(() => validatePdfParams({ url: 'https://example.com', page_ranges: 'all' }))
+      .toThrow('Page ranges must look like');
+  });
+
+  test('should validate device scale bounds', () => {
+    const { options } = validateImageParams({ url: 'https://example.com', selector: 'h1', device_scale: 2 });
+
+    expect(options.deviceScale).toBe(2);
+    expect(() => validateImageParams({ url: 'https://example.com', selector: 'h1', device_scale: 5 }))
+      .toThrow('Device scale must be a number between 1 and 4');
+  });
+
+  test('should validate per-request viewport', () => {
+    const { options } = validateImageParams({
+      url: 'https://example.com',
+      selector: 'h1',
+      viewport_width: 375,
+      viewport_height: '812'
+    });
+
+    expect(options.viewport).toEqual({ width: 375, height: 812 });
+    expect(() => validateImageParams({ url: 'https://example.com', selector: 'h1', viewport_width: 50 }))
+      .toThrow('viewport_width must be an integer between');
+  });
+
+  test('should validate breakpoint widths', () => {
+    const result = validateBreakpointParams({
+      url: 'https://example.com',
+      selector: '.card',
+      widths: [375, 768, 768, 1920]
+    });
+
+    expect(result.widths).toEqual([375, 768, 1920]);
+    expect(() => validateBreakpointParams({ url: 'https://example.com', selector: '.card', widths: [] }))
+      .toThrow('widths must be a non-empty array');
+    expect(() => validateBreakpointParams({ url: 'https://example.com', selector: '.card', widths: [100] }))
+      .toThrow('widths must be an integer between');
+  });
+
+  test('should reject async, webhook and cache options on full page captures', () => {
+    expect(validateFullPageParams({ url: 'https://example.com' }).url).toBe('https://example.com');
+
+    for (const [field, value] of [['async', true], ['webhook_url', 'https://hooks.example.com'], ['cache', false]]) {
+      expect(() => validateFullPageParams({ url: 'https://example.com', [field]: value }))
+        .toThrow(`${field} is not supported for full page captures`);
+    }
+  });
+
+  test('should validate multi-selector capture', () => {
+    const result = validateImageParams({
+      url: 'https://example.com',
+      selectors: ['h1', '.card', 'h1'],
+      all: 'true'
+    });
+
+    expect(result).toMatchObject({ selector: null, selectors: ['h1', '.card'], all: true });
+    expect(() => validateImageParams({ url: 'https://example.com', selector: 'h1', selectors: ['h2'] }))
+      .toThrow('either selector or selectors');
+    expect(() => validateImageParams({ url: 'https://example.com', selectors: [] }))
+      .toThrow('selectors must be a non-empty array');
+    expect(() => validateImageParams({ html: '<p>Hi</p>', all: true }))
+      .toThrow('all requires a selector');
+    expect(() => validateBreakpointParams({ url: 'https://example.com', selectors: ['h1'], widths: [375] }))
+      .toThrow(ValidationError);
+  });
+
+  test('should validate the async flag', () => {
+    expect(validateImageParams({ url: 'https://example.com', selector: 'h1' }).async).toBe(false);
+    expect(validateImageParams({ url: 'https://example.com', selector: 'h1', async: 'true' }).async).toBe(true);
+    expect(() => validateImageParams({ url: 'https://example.com', selector: 'h1', async: 'yes' }))
+      .toThrow('async must be a boolean');
+    expect(() => validateBreakpointParams({ url: 'https://example.com', selector: 'h1', async: true, widths: [375] }))
+      .toThrow('async is not supported');
+  });
+
+  test('should validate the cache flag', () => {
+    expect(validateImageParams({ url: 'https://example.com', selector: 'h1' }).cache).toBe(config.cache.enabled);
+    expect(validateImageParams({ url: 'https://example.com', selector: 'h1', cache: false }))
+      .toMatchObject({ cache: false, refreshCache: true });
+    expect(validateImageParams({ url: 'https://example.com', selector: 'h1' }).refreshCache).toBe(false);
+    expect(() => validateBreakpointParams({ url: 'https://example.com', selector: 'h1', cache: true, widths: [375] }))
+      .toThrow('cache is not supported');
+  });
+
+  test('should validate the webhook url', () => {
+    expect(validateImageParams({ url: 'https://example.com', selector: 'h1' }).webhookUrl).toBeNull();
+    expect(validateImageParams({ url: 'https://example.com', selector: 'h1', webhook_url: 'https://hooks.example.com/render/' }).webhookUrl)
+      .toBe('https://hooks.example.com/render/');
+    expect(() => validateImageParams({ url: 'https://example.com', selector: 'h1', webhook_url: 'ftp://hooks.example.com' }))
+      .toThrow('webhook_url must use HTTP or HTTPS');
+    expect(() => validateImageParams({ url: 'https://example.com', selector: 'h1', webhook_url: 42 }))
+      .toThrow('webhook_url must be a valid URL');
+
+    const originalSecret = config.webhooks.secret;
+    try {
+      config.webhooks.secret = undefined;
+      expect(() => validateImageParams({ url: 'https://example.com', selector: 'h1', webhook_url: 'https://hooks.example.com' }))
+        .toThrow('the server has no WEBHOOK_SECRET configured');
+    } finally {
+      config.webhooks.secret = originalSecret;
+    }
+  });
+
+  test('should validate batch items individually', () => {
+    const result = validateBatchParams({
+      items: [
+        { url: 'https://example.com', selector: 'h1' },
+        { url: 'not-a-url', selector: 'h1' },
+        { html: '<p>Hi</p>', async: true }
+      ],
+      concurrency: 2
+    });
+
+    expect(result.concurrency).toBe(2);
+    expect(result.items[0]).toMatchObject({ index: 0, data: { url: 'https://example.com', selector: 'h1' } });
+    expect(result.items[1].error).toBeInstanceOf(ValidationError);
+    expect(result.items[2].error.message).toContain('not supported for batch items');
+
+    expect(validateBatchParams({ items: [{ html: '<p>Hi</p>' }] }).concurrency).toBe(config.batch.concurrency);
+    expect(() => validateBatchParams({ items: [] })).toThrow('items must be a non-empty array');
+    expect(() => validateBatchParams({ items: new Array(config.batch.maxItems + 1).fill({ html: '<p>Hi</p>' }) }))
+      .toThrow('items cannot contain more than');
+    expect(() => validateBatchParams({ items: [{ html: '<p>Hi</p>' }], concurrency: config.batch.concurrency + 1 }))
+      .toThrow('concurrency must be an integer');
+  });
+
+  test('should validate padding and clip', () => {
+    const { options } = validateImageParams({ url: 'https://example.com', selector: '.card', padding: 24 });
+    expect(options.padding).toEqual({ top: 24, right: 24, bottom: 24, left: 24 });
+    expect(options.clip).toBeNull();
+
+    const perSide = validateImageParams({ url: 'https://example.com', selector: '.card', padding: { top: 8, left: 16 } });
+    expect(perSide.options.padding).toEqual({ top: 8, right: 0, bottom: 0, left: 16 });
+
+    const clipped = validateImageParams({ url: 'https://example.com', clip: { x: 0, y: 100, width: 800, height: 400 } });
+    expect(clipped.selector).toBeNull();
+    expect(clipped.options.clip).toEqual({ x: 0, y: 100, width: 800, height: 400 });
+
+    expect(() => validateImageParams({ url: 'https://example.com', selector: '.card', padding: -1 }))
+      .toThrow('padding must be an integer between');
+    expect(() => validateImageParams({ url: 'https://example.com', clip: { x: 0, y: 0, width: 0, height: 10 } }))
+      .toThrow('clip.width must be a number between');
+    expect(() => validateImageParams({ url: 'https://example.com', selector: 'h1', clip: { width: 10, height: 10 } }))
+      .toThrow('clip cannot be combined');
+  });
+
+  test('should validate page cleanup options', () => {
+    const { options } = validateImageParams({
+      url: 'https://example.com',
+      selector: 'main',
+      hide_selectors: ['header.sticky'],
+      remove_selectors: ['#chat', '#chat'],
+      inject_css: 'body { margin: 0 }',
+      block_cookie_banners: true
+    });
+
+    expect(options).toMatchObject({
+      hideSelectors: ['header.sticky'],
+      removeSelectors: ['#chat'],
+      injectCss: 'body { margin: 0 }',
+      blockCookieBanners: true
+    });
+    expect(validateImageParams({ url: 'https://example.com', selector: 'main' }).options)
+      .toMatchObject({ hideSelectors: [], removeSelectors: [], injectCss: null, blockCookieBanners: false });
+    expect(() => validateImageParams({ url: 'https://example.com', selector: 'main', hide_selectors: 'header' }))
+      .toThrow('hide_selectors must be a non-empty array');
+    expect(() => validateImageParams({ url: 'https://example.com', selector: 'main', inject_css: 42 }))
+      .toThrow('inject_css: CSS must be a string');
+  });
+
+  test('should validate custom scripts', () => {
+    const { options } = validateImageParams({
+      url: 'https://example.com',
+      selector: 'main',
+      init_script: "localStorage.setItem('flag', '1');",
+      inject_js: "await new Promise(resolve => setTimeout(resolve, 10));",
+      script_timeout: 2000
+    });
+
+    expect(options).toMatchObject({
+      initScript: "localStorage.setItem('flag', '1');",
+      injectJs: 'await new Promise(resolve => setTimeout(resolve, 10));',
+      scriptTimeout: 2000
+    });
+    expect(() => validateImageParams({ url: 'https://example.com', selector: 'main', inject_js: 'if (' }))
+      .toThrow('inject_js has a syntax error');
+    expect(() => validateImageParams({ url: 'https://example.com', selector: 'main', init_script: 'await x;' }))
+      .toThrow('init_script has a syntax error');
+    expect(() => validateImageParams({ url: 'https://example.com', selector: 'main', inject_js: 'x', script_timeout: 50 }))
+      .toThrow('script_timeout must be an integer between');
+  });
+
+  test('should only accept enabled engines', () => {
+    const originalEngines = config.browser.engines;
+
+    try {
+      expect(validateImageParams({ url: 'https://example.com', selector: 'h1' }).options.engine).toBe('chromium');
+      expect(() => validateImageParams({ url: 'https://example.com', selector: 'h1', engine: 'webkit' }))
+        .toThrow('engine webkit is not enabled');
+      expect(() => validateImageParams({ url: 'https://example.com', selector: 'h1', engine: 'trident' }))
+        .toThrow('engine must be one of');
+
+      config.browser.engines = ['chromium', 'webkit'];
+      expect(validateImageParams({ url: 'https://example.com', selector: 'h1', engine: 'webkit' }).options.engine)
+        .toBe('webkit');
+      expect(() => validateImageParams({ url: 'https://example.com', selector: 'h1', engine: 'webkit', format: 'webp' }))
+        .toThrow('webp format is only supported by the chromium engine');
+    } finally {
+      config.browser.engines = originalEngines;
+    }
+  });
+
+  test('should reject PDFs when chromium is not enabled', () => {
+    const originalEngines = config.browser.engines;
+
+    try {
+      config.browser.engines = ['firefox', 'webkit'];
+      expect(() => validatePdfParams({ url: 'https://example.com' }))
+        .toThrow('PDF rendering requires the chromium engine, which is not enabled (enabled: firefox, webkit)');
+    } finally {
+      config.browser.engines = originalEngines;
+    }
+  });
+
+  test('should validate BROWSER_ENGINES when config loads', () => {
+    const originalEngines = process.env.BROWSER_ENGINES;
+    const loadEngines = (value) => {
+      process.env.BROWSER_ENGINES = value;
+      let engines;
+      jest.isolateModules(() => {
+        engines = require('../src/config').browser.engines;
+      });
+      return engines;
+    };
+
+    try {
+      expect(loadEngines(' webkit, chromium ,webkit')).toEqual(['webkit', 'chromium']);
+      expect(() => loadEngines('chromium,edge')).toThrow('Invalid BROWSER_ENGINES "chromium,edge"');
+      expect(() => loadEngines(' , ')).toThrow('Invalid BROWSER_ENGINES');
+    } finally {
+      if (originalEngines === undefined) {
+        delete process.env.BROWSER_ENGINES;
+      } else {
+        process.env.BROWSER_ENGINES = originalEngines;
+      }
+    }
+  });
+
+  test('should apply device presets', () => {
+    const { options } = validateImageParams({ url: 'https://example.com', selector: 'h1', device: 'pixel 7' });
+
+    expect(options.device).toMatchObject({ name: 'Pixel 7', isMobile: true, hasTouch: true });
+    expect(options.viewport).toEqual({ width: 412, height: 839 });
+    expect(options.deviceScale).toBe(2.625);
+
+    const overridden = validateImageParams({
+      url: 'https://example.com',
+      selector: 'h1',
+      device: 'iPad Pro',
+      viewport_width: 1024,
+      device_scale: 1
+    });
+    expect(overridden.options.device.name).toBe('iPad Pro 11');
+    expect(overridden.options.viewport.width).toBe(1024);
+    expect(overridden.options.deviceScale).toBe(1);
+
+    expect(() => validateImageParams({ url: 'https://example.com', selector: 'h1', device: 'Nokia 3310' }))
+      .toThrow('Unknown device');
+  });
+
+  test('should validate locale, timezone and geolocation', () => {
+    const { options } = validateImageParams({
+      url: 'https://example.com',
+      selector: '.price',
+      locale: 'de-de',
+      timezone_id: 'Europe/Berlin',
+      geolocation: { latitude: 52.52, longitude: '13.405' }
+    });
+
+    expect(options).toMatchObject({
+      locale: 'de-DE',
+      timezoneId: 'Europe/Berlin',
+      geolocation: { latitude: 52.52, longitude: 13.405, accuracy: 0 }
+    });
+    expect(() => validateImageParams({ url: 'https://example.com', selector: 'h1', locale: 'not a locale' }))
+      .toThrow('locale must be a BCP 47 language tag');
+    expect(() => validateImageParams({ url: 'https://example.com', selector: 'h1', timezone_id: 'Mars/Olympus' }))
+      .toThrow('timezone_id must be an IANA time zone');
+    expect(() => validateImageParams({ url: 'https://example.com', selector: 'h1', geolocation: { latitude: 91, longitude: 0 } }))
+      .toThrow('geolocation.latitude must be a number between -90 and 90');
+  });
+
+  test('should validate headers, cookies and http credentials', () => {
+    const { options } = validateImageParams({
+      url: 'https://example.com/dashboard',
+      selector: 'main',
+      headers: { 'X-Preview': '1' },
+      cookies: [{ name: 'session', value: 'abc' }, { name: 'theme', value: 'dark', domain: '.example.com' }],
+      http_credentials: { username: 'qa', password: 'secret' }
+    });
+
+    expect(options.headers).toEqual({ 'X-Preview': '1' });
+    expect(options.cookies).toEqual([
+      { name: 'session', value: 'abc', url: 'https://example.com/dashboard' },
+      { name: 'theme', value: 'dark', domain: '.example.com', path: '/' }
+    ]);
+    expect(options.httpCredentials).toEqual({ username: 'qa', password: 'secret' });
+
+    expect(() => validateImageParams({ url: 'https://example.com', selector: 'h1', headers: { Host: 'evil.test' } }))
+      .toThrow('is not allowed');
+    expect(() => validateImageParams({ html: '<p>Hi</p>', cookies: [{ name: 'a', value: 'b' }] }))
+      .toThrow('requires a domain or url');
+    expect(() => validateImageParams({ html: '<p>Hi</p>', headers: { 'X-Preview': '1' } }))
+      .toThrow('headers and http_credentials require a url');
+    expect(() => validateImageParams({ url: 'https://example.com', selector: 'h1', http_credentials: { username: 'qa' } }))
+      .toThrow('http_credentials must be an object');
+  });
+
+  test('should validate media emulation', () => {
+    const { options } = validateImageParams({
+      url: 'https://example.com',
+      selector: '.button',
+      color_scheme: 'dark',
+      reduced_motion: true,
+      media: 'print'
+    });
+
+    expect(options).toMatchObject({ colorScheme: 'dark', reducedMotion: 'reduce', media: 'print' });
+    expect(validatePdfParams({ url: 'https://example.com', media: 'screen' }).options.media).toBe('screen');
+    expect(() => validateImageParams({ url: 'https://example.com', selector: 'h1', color_scheme: 'sepia' }))
+      .toThrow('color_scheme must be one of');
+    expect(() => validateImageParams({ url: 'https://example.com', selector: 'h1', reduced_motion: 'slow' }))
+      .toThrow('reduced_motion must be a boolean');
+  });
+
+  test('should validate wait conditions', () => {
+    const { options } = validateImageParams({
+      url: 'https://example.com',
+      selector: '.chart',
+      wait_until: 'networkidle',
+      ms_delay: 500,
+      wait_for_selector: '.chart canvas',
+      wait_for_function: 'window.chartReady === true',
+      render_when_ready: true
+    });
+
+    expect(options).toMatchObject({
+      waitUntil: 'networkidle',
+      msDelay: 500,
+      waitForSelector: '.chart canvas',
+      waitForFunction: 'window.chartReady === true',
+      renderWhenReady: true
+    });
+    expect(() => validateImageParams({ url: 'https://example.com', selector: 'h1', wait_until: 'idle' }))
+      .toThrow('wait_until must be one of');
+    expect(() => validateImageParams({ url: 'https://example.com', selector: 'h1', ms_delay: 60000 }))
+      .toThrow('ms_delay must be an integer');
+  });
+
+  test('should validate google and uploaded fonts', () => {
+    const { options } = validateImageParams({
+      url: 'https://example.com',
+      selector: 'h1',
+      google_fonts: ['Inter:400,700', { family: 'Roboto Mono', weights: [500], italic: true }],
+      fonts: [{ family: 'Brand', data: Buffer.concat([Buffer.from('wOF2'), Buffer.alloc(8)]).toString('base64') }]
+    });
+
+    expect(options.googleFonts).toEqual([
+      { family: 'Inter', weights: [400, 700], italic: false },
+      { family: 'Roboto Mono', weights: [500], italic: true }
+    ]);
+    expect(options.fonts[0]).toMatchObject({ family: 'Brand', weight: 400, style: 'normal', format: 'woff2' });
+    expect(() => validateImageParams({ url: 'https://example.com', selector: 'h1', google_fonts: ['Inter:450'] }))
+      .toThrow('weights must be multiples of 100');
+    expect(() => validateImageParams({ url: 'https://example.com', selector: 'h1', fonts: [{ family: 'X', data: 'aGVsbG8=' }] }))
+      .toThrow('fonts data must be a base64 encoded');
+  });
+
+  test('should only allow transparent backgrounds for png and webp', () => {
+    const png = validateImageParams({ url: 'https://example.com', selector: '.badge', omit_background: true });
+    const webp = validateImageParams({ url: 'https://example.com', selector: '.badge', format: 'webp', transparent: 'true' });
+
+    expect(png.options.omitBackground).toBe(true);
+    expect(webp.options.omitBackground).toBe(true);
+    expect(() => validateImageParams({ url: 'https://example.com', selector: '.badge', format: 'jpeg', transparent: true }))
+      .toThrow('transparent is only supported for png and webp formats');
+  });
+});
@@ -0,0 +1,137 @@
+const http = require('http');
+const { WebhookDispatcher, buildRenderPayload, signPayload } = require('../src/services/webhooks');
+
+describe('Webhook Tests', () => {
+  let server;
+  let url;
+  let received;
+  let responses;
+
+  beforeEach(async () => {
+    received = [];
+    responses = [];
+
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.statusCode = responses.shift() || 200;
+        res.end();
+      });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/hooks/render`;
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const createDispatcher = (options = {}) => new WebhookDispatcher({
+    secret: 'test-secret',
+    maxAttempts: 3,
+    backoffMs: 10,
+    maxBackoffMs: 20,
+    timeout: 1000,
+    historySize: 10,
+    ...options
+  });
+
+  const waitForCompletion = async (delivery) => {
+    while (delivery.status === 'pending') {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  };
+
+  test('should build success and failure payloads', () => {
+    const success = buildRenderPayload({
+      renderId: 'render-1',
+      requestId: 'req-1',
+      body: { url: 'https://example.com/images/a.png', size: 1024, format: 'png', duration: '120ms' }
+    });
+
+    expect(success).toMatchObject({
+      event: 'render.succeeded',
+      renderId: 'render-1',
+      url: 'https://example.com/images/a.png',
+      size: 1024,
+      duration: '120ms',
+      error: null
+    });
+
+    const failure = buildRenderPayload({
+      renderId: null,
+      requestId: 'req-2',
+      error: { status: 503, message: 'Render queue is full, try again later', code: 'QUEUE_FULL' },
+      duration: '5ms'
+    });
+
+    expect(failure).toMatchObject({
+      event: 'render.failed',
+      url: null,
+      error: { status: 503, code: 'QUEUE_FULL' }
+    });
+  });
+
+  test('should deliver signed payloads', async () => {
+    const dispatcher = createDispatcher();
+    const delivery = dispatcher.dispatch(url, { event: 'render.succeeded', renderId: 'render-1' });
+
+    await waitForCompletion(delivery);
+
+    expect(delivery.status).toBe('delivered');
+    expect(received).toHaveLength(1);
+
+    const { headers, body } = received[0];
+    expect(headers['x-renderize-delivery']).toBe(delivery.id);
+    expect(headers['x-renderize-event']).toBe('render.succeeded');
+    expect(headers['x-renderize-signature'])
+      .toBe(`sha256=${signPayload('test-secret', headers['x-renderize-timestamp'], body)}`);
+    expect(JSON.parse(body)).toEqual({ event: 'render.succeeded', renderId: 'render-1' });
+  });
+
+  test('should retry failed deliveries and record every attempt', async () => {
+    const dispatcher = createDispatcher();
+    responses = [500, 502];
+
+    const delivery = dispatcher.dispatch(url, { event: 'render.failed', renderId: 'render-2' });
+    await waitForCompletion(delivery);
+
+    expect(delivery.status).toBe('delivered');
+    expect(delivery.attempts.map(attempt => attempt.statusCode)).toEqual([500, 502, 200]);
+    expect(delivery.attempts[0].error).toContain('HTTP 500');
+    expect(new Set(received.map(request => request.headers['x-renderize-delivery'])).size).toBe(1);
+  });
+
+  test('should give up after the maximum number of attempts', async () => {
+    const dispatcher = createDispatcher({ maxAttempts: 2 });
+    responses = [500, 500];
+
+    const delivery = dispatcher.dispatch(url, { event: 'render.failed', renderId: 'render-3' });
+    await waitForCompletion(delivery);
+
+    expect(delivery.status).toBe('failed');
+    expect(delivery.attempts).toHaveLength(2);
+    expect(dispatcher.list({ renderId: 'render-3' })).toEqual([delivery]);
+  });
+
+  test('should only keep the most recent deliveries', async () => {
+    const dispatcher = createDispatcher({ historySize: 2 });
+    const deliveries = [1, 2, 3].map(n => dispatcher.dispatch(url, { event: 'render.succeeded', renderId: `render-${n}` }));
+
+    await Promise.all(deliveries.map(waitForCompletion));
+
+    expect(dispatcher.get(deliveries[0].id)).toBeNull();
+    expect(dispatcher.list().map(delivery => delivery.renderId)).toEqual(['render-3', 'render-2']);
+  });
+
+  test('should refuse to deliver without a signing secret', () => {
+    const dispatcher = createDispatcher({ secret: undefined });
+
+    expect(() => dispatcher.dispatch(url, { event: 'render.succeeded', renderId: 'render-1' }))
+      .toThrow('Webhook delivery requires WEBHOOK_SECRET');
+    expect(received).toEqual([]);
+  });
+});